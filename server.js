@@ -6,12 +6,19 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { createClient } = require('@supabase/supabase-js');
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
 // QR codes are now generated on the frontend from check_in_token
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Railway terminates TLS in front of us; trust its X-Forwarded-For so req.ip is the client.
+// TRUST_PROXY_HOPS=0 for deployments with no proxy in front.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', Number.isInteger(trustProxyHops) ? trustProxyHops : 1);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -28,6 +35,8 @@ console.log('SENDGRID_API_KEY:', process.env.SENDGRID_API_KEY ? '✅ Set' : '❌
 console.log('MSG91_AUTH_KEY:', process.env.MSG91_AUTH_KEY ? '✅ Set' : '❌ Missing');
 console.log('MSG91_SENDER_ID:', process.env.MSG91_SENDER_ID ? '✅ Set' : '❌ Missing');
 console.log('MSG91_TEMPLATE_ID:', process.env.MSG91_TEMPLATE_ID ? '✅ Set' : '❌ Missing');
+console.log('CHECKIN_KEY_SECRET:', process.env.CHECKIN_KEY_SECRET ? '✅ Set' : '❌ Missing (check-in passes cannot be signed, so confirmed guests cannot be added)');
+console.log('INTERNAL_SERVICE_KEY:', process.env.INTERNAL_SERVICE_KEY ? '✅ Set' : '❌ Missing (scheduled jobs must use an admin session)');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
@@ -73,192 +82,2217 @@ try {
 // HELPER FUNCTIONS
 // ============================================
 
-// ✅ UPDATED: Generate simple check-in token
-function generateCheckInToken() {
-  return 'GC-' + Math.random().toString(36).substring(2, 10).toUpperCase();
+// Guest changes a door scanner cares about (name, category, pass, check-in state) bump
+// updated_at so offline scanners can download just the delta (see /sync/manifest). The
+// guests_stamp_updated_at trigger (supabase/migrations) replaces the value with the
+// database clock on every write; setting it here still marks a row changed when nothing
+// else in it is, e.g. after its companions were edited.
+function withSyncStamp(fields) {
+  return { ...fields, updated_at: new Date().toISOString() };
 }
 
-// ✅ QR codes are now generated on the frontend using check_in_token
-// No server-side QR image generation needed!
+// PostgREST returns at most 1000 rows per request, so anything that can be bigger is read
+// a page at a time. buildQuery must return a fresh query with a stable order.
+const PAGE_SIZE = 1000;
 
-// ⚠️ DEPRECATED: Old QR generation (kept for backward compatibility)
-function generateQRCode(guest, event) {
-  return JSON.stringify({
-    guest_id: guest.id,
-    event_id: event.id,
-    venue_id: event.venue_id,
-    guest_name: guest.name,
-    event_name: event.name,
-    timestamp: Date.now()
-  });
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
 }
 
-function getQRCodeURL(qrData) {
-  return `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(qrData)}`;
+// Headcounts are people, not guest rows: each row is the primary guest plus their
+// plus-ones. Select HEADCOUNT_FIELDS for confirmed guests only (CONFIRMED_GUEST_FILTER), so
+// waitlisted, pending, declined and cancelled registrations aren't counted.
+const HEADCOUNT_FIELDS = 'id, checked_in, plus_ones, plus_ones_arrived';
+
+function summarizeHeadcount(guests) {
+  const rows = guests || [];
+  return {
+    total_guests: rows.reduce((sum, g) => sum + 1 + (g.plus_ones || 0), 0),
+    checked_in_count: rows.reduce((sum, g) => sum + (g.checked_in ? 1 : 0) + (g.plus_ones_arrived || 0), 0),
+    guest_records: rows.length
+  };
+}
+
+// Headcount for the event listings, read a page at a time so big events aren't cut off
+async function getEventHeadcount(eventId) {
+  const guests = await fetchAllRows(() => supabase
+    .from('guests')
+    .select(HEADCOUNT_FIELDS)
+    .eq('event_id', eventId)
+    .or(CONFIRMED_GUEST_FILTER)
+    .order('id', { ascending: true }));
+
+  return summarizeHeadcount(guests);
+}
+
+// Guests leaving an event's manifest (deleted, or detached when the event is purged) get
+// a tombstone so offline scanners drop them on their next delta
+async function recordGuestTombstones(eventId, guestIds) {
+  if (!eventId || guestIds.length === 0) return;
+
+  const deletedAt = new Date().toISOString();
+  for (let i = 0; i < guestIds.length; i += PAGE_SIZE) {
+    const { error } = await supabase
+      .from('guest_tombstones')
+      .insert(guestIds.slice(i, i + PAGE_SIZE).map(guestId => ({ guest_id: guestId, event_id: eventId, deleted_at: deletedAt })));
+    if (error) throw error;
+  }
+}
+
+// Unlink an event's guests before the event row goes (guest data is kept)
+async function detachEventGuests(eventId) {
+  const guests = await fetchAllRows(() => supabase
+    .from('guests')
+    .select('id')
+    .eq('event_id', eventId)
+    .order('id', { ascending: true }));
+
+  if (guests.length === 0) return;
+
+  await recordGuestTombstones(eventId, guests.map(g => g.id));
+
+  const { error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({ event_id: null }))
+    .eq('event_id', eventId);
+
+  if (error) throw error;
 }
 
 // ============================================
-// EMAIL SERVICE - SENDGRID
+// PHONE NUMBERS
 // ============================================
-async function sendEmail(to, subject, htmlContent) {
-  console.log('📧 sendEmail called with:', { to, subject, from: process.env.SENDGRID_FROM_EMAIL });
-  
-  if (!SENDGRID_API_KEY) {
-    console.error('⚠️ SendGrid not configured - skipping email');
-    return { success: false, error: 'SendGrid not configured' };
+// Guest phones are stored in E.164 (+919876543210). Numbers typed without a country code
+// are read in the event's phone_country, else its venue's, else DEFAULT_PHONE_COUNTRY.
+// Guests saved before this have bare 10-digit Indian numbers, so stored values without a
+// country code are always read as Indian.
+
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+const LEGACY_PHONE_COUNTRY = 'IN';
+
+function normalizeCountryCode(country) {
+  const code = String(country || '').trim().toUpperCase();
+  return isSupportedCountry(code) ? code : null;
+}
+
+async function getPhoneCountry(event) {
+  if (event?.phone_country) return event.phone_country;
+
+  if (event?.venue_id) {
+    const { data: venue } = await supabase
+      .from('venues')
+      .select('phone_country')
+      .eq('id', event.venue_id)
+      .maybeSingle();
+
+    if (venue?.phone_country) return venue.phone_country;
   }
 
-  console.log('✅ SendGrid API key found');
+  return DEFAULT_PHONE_COUNTRY;
+}
+
+function parsePhone(raw, defaultCountry) {
+  if (!raw) return null;
+  const phone = parsePhoneNumberFromString(String(raw).trim(), defaultCountry);
+  return phone && phone.isValid() ? phone : null;
+}
+
+// E.164 for what someone typed, or null when it isn't a valid number
+function normalizePhone(raw, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const phone = parsePhone(raw, defaultCountry);
+  return phone ? phone.number : null;
+}
+
+// Every stored form of this number: E.164, plus the bare national number legacy rows used
+function phoneLookupValues(e164) {
+  const phone = parsePhone(e164, LEGACY_PHONE_COUNTRY);
+  if (!phone) return [e164];
+
+  return phone.country === LEGACY_PHONE_COUNTRY
+    ? [phone.number, phone.nationalNumber]
+    : [phone.number];
+}
+
+// The one place phones are formatted for people to read: +91 98765 43210, +44 20 7946 0958
+function formatPhoneForDisplay(raw) {
+  const phone = parsePhone(raw, LEGACY_PHONE_COUNTRY);
+  return phone ? phone.formatInternational() : (raw || null);
+}
+
+// SMS gateways want the full number as digits: country code, no '+'
+function toSmsRecipient(raw) {
+  const phone = parsePhone(raw, LEGACY_PHONE_COUNTRY);
+  return phone ? phone.number.slice(1) : null;
+}
 
+function describeCountry(country) {
   try {
-    const emailPayload = {
-      personalizations: [{
-        to: [{ email: to }],
-        subject: subject
-      }],
-      from: {
-        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@eventcheckin.com',
-        name: 'Event Check-In Pro'
-      },
-      content: [{
-        type: 'text/html',
-        value: htmlContent
-      }]
-    };
-    
-    console.log('📤 Sending to SendGrid API:', JSON.stringify(emailPayload, null, 2));
-    
-    const response = await axios.post(
-      'https://api.sendgrid.com/v3/mail/send',
-      emailPayload,
-      {
-        headers: {
-          'Authorization': `Bearer ${SENDGRID_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    console.log('✅ SendGrid response:', response.status, response.statusText);
-    return { success: true };
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(country) || country;
   } catch (error) {
-    console.error('❌ SendGrid Error:', error.response?.data || error.message);
-    console.error('Full error:', JSON.stringify(error.response?.data, null, 2));
-    return { success: false, error: error.message };
+    return country;
   }
 }
 
 // ============================================
-// SMS SERVICE - MSG91 (FIXED VERSION!)
+// SIGNED CHECK-IN TOKENS
 // ============================================
-async function sendSMSInvitation(guest, event) {
-  console.log(`\n📱 === Starting SMS Send Process ===`);
-  console.log(`📱 Guest: ${guest.name}`);
-  console.log(`📱 Phone: ${guest.phone}`);
-  console.log(`📱 Event: ${event.name}`);
-  
-  // ✅ FIX: Check process.env DIRECTLY, not constants!
-  console.log(`\n🔍 Checking MSG91 Configuration...`);
-  console.log(`MSG91_AUTH_KEY in env: ${!!process.env.MSG91_AUTH_KEY}`);
-  console.log(`MSG91_TEMPLATE_ID in env: ${!!process.env.MSG91_TEMPLATE_ID}`);
-  
-  if (process.env.MSG91_AUTH_KEY) {
-    console.log(`✅ AUTH_KEY found: ${process.env.MSG91_AUTH_KEY.substring(0, 10)}...`);
-  } else {
-    console.error(`❌ MSG91_AUTH_KEY is missing from environment`);
+// Format: GC2.<base64url payload>.<base64url Ed25519 signature>
+// payload = { k: key id, e: event id, g: guest id, iat: issued at (unix seconds) }
+// Each event has its own Ed25519 key pair (checkin_signing_keys table). Scanners download
+// the public keys from /api/events/:eventId/checkin-keys and can verify passes offline.
+// Private keys are stored encrypted (AES-256-GCM) with CHECKIN_KEY_SECRET.
+// Legacy GC-XXXXXXXX tokens are still accepted by /api/checkin/token during migration.
+
+const SIGNED_TOKEN_PREFIX = 'GC2';
+const SIGNING_KEY_CACHE_MS = 5 * 60 * 1000;
+const SIGNING_KEY_CACHE_MAX = 500;
+const signingKeyCache = new Map();    // eventId -> { keys, loadedAt }, oldest first
+const ENCRYPTED_KEY_PREFIX = 'enc:v1';
+const pendingKeyCreation = new Map(); // eventId -> Promise, so concurrent signups share one new key
+
+function isSignedCheckInToken(token) {
+  return typeof token === 'string' && token.startsWith(`${SIGNED_TOKEN_PREFIX}.`);
+}
+
+// Key rows for an event: active (signs new passes), retired (still verifies), revoked (rejected)
+async function getEventSigningKeys(eventId, { fresh = false } = {}) {
+  const cached = signingKeyCache.get(eventId);
+  if (!fresh && cached && Date.now() - cached.loadedAt < SIGNING_KEY_CACHE_MS) {
+    return cached.keys;
   }
-  
-  if (process.env.MSG91_TEMPLATE_ID) {
-    console.log(`✅ TEMPLATE_ID found: ${process.env.MSG91_TEMPLATE_ID}`);
-  } else {
-    console.error(`❌ MSG91_TEMPLATE_ID is missing from environment`);
+
+  const { data: keys, error } = await supabase
+    .from('checkin_signing_keys')
+    .select('*')
+    .eq('event_id', eventId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  // Event ids come from scanned tokens, so only events that really have keys are cached,
+  // and only the most recently loaded SIGNING_KEY_CACHE_MAX of them
+  signingKeyCache.delete(eventId);
+  if (keys && keys.length > 0) {
+    if (signingKeyCache.size >= SIGNING_KEY_CACHE_MAX) {
+      signingKeyCache.delete(signingKeyCache.keys().next().value);
+    }
+    signingKeyCache.set(eventId, { keys, loadedAt: Date.now() });
   }
-  
-  // Check if MSG91 is configured - use process.env directly!
-  if (!process.env.MSG91_AUTH_KEY || !process.env.MSG91_TEMPLATE_ID) {
-    console.error('⚠️ MSG91 not configured');
-    throw new Error('MSG91 not configured');
+  return keys || [];
+}
+
+function getKeyEncryptionKey() {
+  if (!process.env.CHECKIN_KEY_SECRET) {
+    throw new Error('CHECKIN_KEY_SECRET is not set, check-in signing keys are unavailable');
   }
-  
-  console.log('✅ MSG91 is configured!');
-  
+  return crypto.createHash('sha256').update(process.env.CHECKIN_KEY_SECRET).digest();
+}
+
+function encryptSigningKey(pem) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKeyEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return [ENCRYPTED_KEY_PREFIX, iv.toString('base64url'), cipher.getAuthTag().toString('base64url'), ciphertext.toString('base64url')].join(':');
+}
+
+function isEncryptedSigningKey(stored) {
+  return stored.startsWith(`${ENCRYPTED_KEY_PREFIX}:`);
+}
+
+// Keys created before encryption are plain PEM and still readable
+function decryptSigningKey(stored) {
+  if (!isEncryptedSigningKey(stored)) return stored;
+
+  const [, , iv, tag, ciphertext] = stored.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKeyEncryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+async function createEventSigningKey(eventId) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  const { data, error } = await supabase
+    .from('checkin_signing_keys')
+    .insert([{
+      event_id: eventId,
+      key_id: crypto.randomBytes(4).toString('hex'),
+      public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+      private_key: encryptSigningKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      status: 'active'
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  signingKeyCache.delete(eventId);
+  console.log(`🔑 Created check-in signing key ${data.key_id} for event ${eventId}`);
+  return data;
+}
+
+async function getActiveSigningKey(eventId) {
+  const keys = await getEventSigningKeys(eventId);
+  const active = keys.find(k => k.status === 'active');
+  if (active) return active;
+
+  if (!pendingKeyCreation.has(eventId)) {
+    pendingKeyCreation.set(
+      eventId,
+      createEventSigningKey(eventId).finally(() => pendingKeyCreation.delete(eventId))
+    );
+  }
+  return pendingKeyCreation.get(eventId);
+}
+
+async function signCheckInToken(guest) {
+  if (!guest.event_id) throw new Error('Guest is not attached to an event');
+
+  const key = await getActiveSigningKey(guest.event_id);
+
+  // Encrypt a legacy plain-text key the first time it's used
+  if (!isEncryptedSigningKey(key.private_key) && process.env.CHECKIN_KEY_SECRET) {
+    await supabase
+      .from('checkin_signing_keys')
+      .update({ private_key: encryptSigningKey(key.private_key) })
+      .eq('event_id', guest.event_id)
+      .eq('key_id', key.key_id);
+    signingKeyCache.delete(guest.event_id);
+  }
+
+  const payload = Buffer.from(JSON.stringify({
+    k: key.key_id,
+    e: guest.event_id,
+    g: guest.id,
+    iat: Math.floor(Date.now() / 1000)
+  })).toString('base64url');
+
+  const signed = `${SIGNED_TOKEN_PREFIX}.${payload}`;
+  const signature = crypto.sign(null, Buffer.from(signed), crypto.createPrivateKey(decryptSigningKey(key.private_key)));
+
+  return `${signed}.${signature.toString('base64url')}`;
+}
+
+// Check the signature of a GC2 token. Returns { valid, payload, reason }
+async function verifyCheckInToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== SIGNED_TOKEN_PREFIX) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  let payload;
   try {
-    // Format phone number - add country code if missing
-    let cleanPhone = guest.phone.replace(/[\s\-\+]/g, '');
-    if (!cleanPhone.startsWith('91')) {
-      cleanPhone = '91' + cleanPhone;
-    }
-    console.log(`📱 Formatted phone: ${cleanPhone}`);
-    
-    // Generate QR code URL from check-in token
-    const qrCodeURL = getQRCodeURL(guest.check_in_token || guest.qr_code || '');
-    
-    // Format date
-    const eventDate = new Date(event.date).toLocaleDateString('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric'
-    });
-    
-    // MSG91 payload - use process.env directly!
-    const msg91Payload = {
-      template_id: process.env.MSG91_TEMPLATE_ID,
-      short_url: '0',
-      recipients: [{
-        mobiles: cleanPhone,
-        var1: guest.name,
-        var2: event.name,
-        var3: eventDate,
-        var4: qrCodeURL
-      }]
-    };
-    
-    // Add DLT Template ID if available
-    if (process.env.MSG91_DLT_TEMPLATE_ID) {
-      msg91Payload.DLT_TE_ID = process.env.MSG91_DLT_TEMPLATE_ID;
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  if (!payload || !payload.k || !payload.e || !payload.g) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  let keys = await getEventSigningKeys(payload.e);
+  let key = keys.find(k => k.key_id === payload.k);
+
+  // Key may have been created on another instance since we cached
+  if (!key) {
+    keys = await getEventSigningKeys(payload.e, { fresh: true });
+    key = keys.find(k => k.key_id === payload.k);
+  }
+
+  if (!key) return { valid: false, reason: 'unknown_key', payload };
+  if (key.status === 'revoked') return { valid: false, reason: 'revoked_key', payload };
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    crypto.createPublicKey(key.public_key),
+    Buffer.from(parts[2], 'base64url')
+  );
+
+  return valid ? { valid: true, payload } : { valid: false, reason: 'bad_signature', payload };
+}
+
+// Sign a fresh pass for a saved guest and store it as their check_in_token
+async function issueCheckInToken(guest) {
+  const token = await signCheckInToken(guest);
+
+  const { error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({ check_in_token: token }))
+    .eq('id', guest.id);
+
+  if (error) throw error;
+
+  return token;
+}
+
+// Sign the pass for a guest row that's about to be inserted, so a guest is never saved
+// without one (e.g. when CHECKIN_KEY_SECRET is missing). Returns { id, check_in_token } to insert.
+async function presignCheckInToken(eventId) {
+  const id = crypto.randomUUID();
+  return { id, check_in_token: await signCheckInToken({ id, event_id: eventId }) };
+}
+
+// Resolve a code scanned at eventId (signed or legacy) to its guest. Returns { guest, reason }
+async function findGuestByCheckInToken(rawToken, eventId) {
+  const token = rawToken.trim();
+
+  if (isSignedCheckInToken(token)) {
+    const verification = await verifyCheckInToken(token);
+    if (!verification.valid) return { guest: null, reason: verification.reason };
+
+    const guest = await findGuestById(verification.payload.g);
+
+    // A reissued pass supersedes the old one even though its signature is still valid
+    if (!guest || guest.check_in_token !== token || guest.event_id !== verification.payload.e) {
+      return { guest: null, reason: 'superseded' };
     }
-    
-    console.log('\n📤 MSG91 Payload:', JSON.stringify(msg91Payload, null, 2));
-    
-    // Call MSG91 API - use process.env directly!
-    console.log('📱 Calling MSG91 API...');
-    const response = await axios.post(
-      'https://control.msg91.com/api/v5/flow/',
-      msg91Payload,
-      {
-        headers: {
-          'authkey': process.env.MSG91_AUTH_KEY,
-          'content-type': 'application/json'
-        }
-      }
-    );
-    
-    const result = response.data;
-    console.log('\n📱 MSG91 Response Status:', response.status);
-    console.log('📱 MSG91 Response:', JSON.stringify(result, null, 2));
-    
-    if (result.type === 'error') {
-      console.error('❌ MSG91 returned error:', result);
-      throw new Error(result.message || 'MSG91 API error');
+    return { guest };
+  }
+
+  // Legacy GC-XXXXXXXX tokens are short and can repeat across events, so only the scanned
+  // event is searched
+  const { data: guest, error } = await supabase
+    .from('guests')
+    .select('*')
+    .eq('event_id', eventId)
+    .eq('check_in_token', token.toUpperCase())
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return guest ? { guest } : { guest: null, reason: 'not_found' };
+}
+
+// Retire (or revoke) the event's current key and start signing with a new one.
+// Revoking invalidates every pass signed with the old key, so all guests get a new pass.
+async function rotateEventSigningKey(eventId, { revokePrevious = false } = {}) {
+  const { error } = await supabase
+    .from('checkin_signing_keys')
+    .update({
+      status: revokePrevious ? 'revoked' : 'retired',
+      retired_at: new Date().toISOString()
+    })
+    .eq('event_id', eventId)
+    .eq('status', 'active');
+
+  if (error) throw error;
+
+  const key = await createEventSigningKey(eventId);
+  let reissued = 0;
+
+  if (revokePrevious) {
+    const guests = await fetchAllRows(() => supabase
+      .from('guests')
+      .select('id, event_id')
+      .eq('event_id', eventId)
+      .or(CONFIRMED_GUEST_FILTER)
+      .order('id', { ascending: true }));
+
+    for (const guest of guests) {
+      await issueCheckInToken(guest);
+      reissued++;
     }
-    
-    console.log(`✅ SMS sent successfully to ${guest.phone}`);
-    console.log(`📱 === SMS Send Complete ===\n`);
-    
-    return { success: true, data: result };
-    
-  } catch (error) {
-    console.error(`❌ SMS failed for ${guest.phone}:`, error.response?.data || error.message);
-    throw error;
   }
+
+  return { key, reissued };
+}
+
+function publicSigningKey(key) {
+  return {
+    key_id: key.key_id,
+    status: key.status,
+    algorithm: 'Ed25519',
+    public_key: key.public_key,
+    public_key_jwk: crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+    created_at: key.created_at,
+    retired_at: key.retired_at || null
+  };
 }
 
 // ============================================
-// EMAIL TEMPLATES
+// CHECK-IN RULES
 // ============================================
 
-function getGuestInvitationEmailHTML(guest, event, inviteUrl) {
-  return `
+// Only an explicit checkin_opens_at (timestamptz) holds the doors shut. events.date and
+// time_start carry no time zone, so they're never used to gate admission.
+function getCheckInOpensAt(event) {
+  return event.checkin_opens_at ? new Date(event.checkin_opens_at) : null;
+}
+
+// A date-time with an explicit offset ('Z' or '+05:30'). Without one the server's own zone
+// would be assumed, which is how a 7 PM IST door time ends up as 7 PM UTC.
+const ZONED_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i;
+
+// Why an event can't admit anyone right now, or null if check-in is open
+function getCheckInBlock(event) {
+  if (event.status === 'archived') {
+    return event.cancelled_before_event
+      ? { reason: 'cancelled', message: 'This event has been cancelled' }
+      : { reason: 'archived', message: 'This event has been archived' };
+  }
+
+  const opensAt = getCheckInOpensAt(event);
+  if (opensAt && opensAt > new Date()) {
+    return {
+      reason: 'not_yet_open',
+      message: `Check-in opens at ${opensAt.toISOString()}`,
+      opens_at: opensAt.toISOString()
+    };
+  }
+
+  return null;
+}
+
+// Why this particular guest can't be admitted, or null if their spot is confirmed
+function getGuestAdmissionBlock(guest) {
+  if (guest.registration_status === 'waitlisted') {
+    return {
+      reason: 'waitlisted',
+      message: `${guest.name} is on the waitlist and doesn't have a confirmed spot yet`
+    };
+  }
+
+  if (guest.registration_status === 'pending') {
+    return { reason: 'pending_approval', message: `${guest.name}'s registration hasn't been approved by the host` };
+  }
+
+  if (guest.registration_status === 'declined') {
+    return { reason: 'declined', message: `${guest.name}'s registration was declined` };
+  }
+
+  if (guest.registration_status === 'cancelled') {
+    return { reason: 'cancelled', message: `${guest.name} cancelled their registration` };
+  }
+
+  return null;
+}
+
+// Check a guest in with a single conditional update, so when two scanners read the
+// same pass at once exactly one of them wins. Returns { result, guest } where result is
+// 'checked_in' for the winner and 'already_checked_in' (with the winning scan's details) otherwise.
+// With exit tracking on, a guest who has checked out is let back in as 're_entered'.
+// `at` is the scan time for scans uploaded by offline scanners (defaults to now).
+async function performCheckIn(guestId, { checkedInBy, event, at }) {
+  const now = at || new Date();
+  const time = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+
+  const { data: updated, error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({
+      checked_in: true,
+      checked_in_at: now.toISOString(),
+      checked_in_time: time,  // display string kept for older clients
+      checked_in_by: checkedInBy,
+      is_inside: true
+    }))
+    .eq('id', guestId)
+    .or('checked_in.is.null,checked_in.eq.false')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (updated) {
+    return { result: 'checked_in', guest: updated };
+  }
+
+  if (event && event.exit_tracking) {
+    const { data: reentered, error: reentryError } = await supabase
+      .from('guests')
+      .update(withSyncStamp({ is_inside: true, last_entry_at: now.toISOString() }))
+      .eq('id', guestId)
+      .eq('checked_in', true)
+      .eq('is_inside', false)
+      .select()
+      .maybeSingle();
+
+    if (reentryError) throw reentryError;
+    if (reentered) return { result: 're_entered', guest: reentered };
+  }
+
+  return { result: 'already_checked_in', guest: await findGuestById(guestId) };
+}
+
+// Mark a checked-in guest as having left (exit tracking). Conditional like
+// performCheckIn, so a double scan at the exit only records one exit.
+async function performCheckOut(guestId) {
+  const { data: updated, error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({ is_inside: false, last_exit_at: new Date().toISOString() }))
+    .eq('id', guestId)
+    .eq('checked_in', true)
+    .or('is_inside.is.null,is_inside.eq.true')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (updated) return { result: 'checked_out', guest: updated };
+
+  const guest = await findGuestById(guestId);
+  return { result: guest && guest.checked_in ? 'already_outside' : 'not_checked_in', guest };
+}
+
+// checkin_logs.result values for each check-in outcome
+const CHECKIN_LOG_RESULTS = {
+  checked_in: 'success',
+  already_checked_in: 'duplicate',
+  invalid: 'invalid',
+  wrong_event: 'wrong_event',
+  event_not_open: 'event_closed',
+  re_entered: 're_entry',
+  checked_out: 'checked_out',
+  undone: 'undone',
+  zone_allowed: 'zone_access',
+  zone_denied: 'zone_denied',
+  companions_admitted: 'plus_ones',
+  not_confirmed: 'not_confirmed'
+};
+
+// Record one scan attempt in checkin_logs. Never throws: a logging failure
+// must not turn a successful admission into an error at the door.
+async function recordCheckInAttempt(req, { eventId, guestId, result, details, scannedAt, gate: scanGate, clientScanId, zoneId }) {
+  try {
+    const { scanner_name, gate } = req.body || {};
+    // Only a paired scanner's own credential attributes a scan to a device
+    const device = req.scanner;
+
+    const { error } = await supabase
+      .from('checkin_logs')
+      .insert([{
+        event_id: eventId,
+        guest_id: guestId || null,
+        result: CHECKIN_LOG_RESULTS[result] || result,
+        scanned_at: (scannedAt || new Date()).toISOString(),
+        scanner_name: device ? device.name : (scanner_name || null),
+        device_id: device ? device.id : null,
+        gate: scanGate || (device && device.gate) || gate || null,
+        client_scan_id: clientScanId || null,
+        zone_id: zoneId || null,
+        user_id: req.user?.id || null,
+        user_name: req.user?.name || null,
+        details: details || null
+      }]);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('⚠️ Failed to record check-in attempt:', error.message);
+  }
+}
+
+function describeCheckIn({ result, guest }) {
+  if (result === 'checked_in') {
+    return {
+      success: true,
+      result,
+      guest,
+      message: `${guest.name} checked in successfully!`
+    };
+  }
+
+  if (result === 're_entered') {
+    return {
+      success: true,
+      result,
+      guest,
+      message: `${guest.name} re-entered`
+    };
+  }
+
+  if (result === 'zone_allowed') {
+    return {
+      success: true,
+      result,
+      guest,
+      message: `${guest.name} may enter`
+    };
+  }
+
+  if (result === 'companions_admitted') {
+    return {
+      success: true,
+      result,
+      guest,
+      message: `More of ${guest.name}'s party arrived`
+    };
+  }
+
+  return {
+    success: true,
+    result,
+    guest,
+    already_checked_in: true,
+    checked_in_by: guest.checked_in_by,
+    checked_in_time: guest.checked_in_time,
+    checked_in_at: guest.checked_in_at,
+    message: `${guest.name} was already checked in by ${guest.checked_in_by || 'another scanner'} at ${guest.checked_in_time}`
+  };
+}
+
+// ============================================
+// PARTY CHECK-IN (PLUS-ONES)
+// ============================================
+// guests.plus_ones is the party size minus the primary; guests.plus_ones_arrived counts
+// how many of them are in. Hosts may name some or all plus-ones in guest_companions,
+// the rest stay anonymous. Door staff admit any subset of the party, at any time, with
+// companion_ids (named) and/or companions (a count of unnamed plus-ones).
+
+function parsePartyRequest(body = {}) {
+  const companionIds = body.companion_ids === undefined ? [] : body.companion_ids;
+  if (!Array.isArray(companionIds)) {
+    return { error: 'companion_ids must be a list' };
+  }
+
+  const count = body.companions === undefined ? 0 : parseInt(body.companions, 10);
+  if (!Number.isInteger(count) || count < 0) {
+    return { error: 'companions must be zero or a positive whole number' };
+  }
+
+  const includePrimary = body.include_primary !== false;
+  const requested = companionIds.length > 0 || count > 0;
+
+  if (!includePrimary && !requested) {
+    return { error: 'Nothing to check in: include the guest or some of their party' };
+  }
+
+  return { companionIds: [...new Set(companionIds.map(String))], count, includePrimary, requested };
+}
+
+const PRIMARY_ONLY = { companionIds: [], count: 0, includePrimary: true, requested: false };
+
+async function getGuestCompanions(guestId) {
+  const { data, error } = await supabase
+    .from('guest_companions')
+    .select('*')
+    .eq('guest_id', guestId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Why this party request can't be admitted, or null
+function findPartyProblem(guest, companions, party) {
+  for (const id of party.companionIds) {
+    const companion = companions.find(c => String(c.id) === id);
+    if (!companion) return `Unknown companion for ${guest.name}`;
+    if (companion.checked_in) return `${companion.name} has already arrived`;
+  }
+
+  const namedArrived = companions.filter(c => c.checked_in).length;
+  const unnamedArrived = Math.max((guest.plus_ones_arrived || 0) - namedArrived, 0);
+  const unnamedLeft = Math.max((guest.plus_ones || 0) - companions.length - unnamedArrived, 0);
+
+  if (party.count > unnamedLeft) {
+    return unnamedLeft === 0
+      ? `${guest.name} has no unnamed plus-ones left to admit`
+      : `${guest.name} has only ${unnamedLeft} unnamed plus-one${unnamedLeft === 1 ? '' : 's'} left to admit`;
+  }
+
+  return null;
+}
+
+// Mark companions as arrived and bump plus_ones_arrived with a compare-and-swap. The room
+// left in the party is rechecked on every attempt, so when two doors admit the same party
+// at once only what fits goes through: the other door gets { error } and its companion
+// rows are put back. Otherwise returns { admitted, guest }.
+async function admitCompanions(guest, party, { checkedInBy }) {
+  const now = new Date().toISOString();
+  const admitted = [];
+
+  const releaseNamed = async () => {
+    const ids = admitted.filter(c => c.id).map(c => c.id);
+    if (ids.length === 0) return;
+    await supabase
+      .from('guest_companions')
+      .update({ checked_in: false, checked_in_at: null, checked_in_by: null })
+      .in('id', ids);
+  };
+
+  for (const id of party.companionIds) {
+    const { data: companion, error } = await supabase
+      .from('guest_companions')
+      .update({ checked_in: true, checked_in_at: now, checked_in_by: checkedInBy })
+      .eq('id', id)
+      .eq('guest_id', guest.id)
+      .eq('checked_in', false)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      await releaseNamed();
+      throw error;
+    }
+    if (!companion) {
+      await releaseNamed();
+      return { error: `Someone in ${guest.name}'s party was just admitted at another door` };
+    }
+    admitted.push({ id: companion.id, name: companion.name });
+  }
+
+  for (let i = 0; i < party.count; i++) {
+    admitted.push({ id: null, name: null });
+  }
+
+  if (admitted.length === 0) return { admitted, guest };
+
+  let current = guest;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const arrived = current.plus_ones_arrived;
+    const room = (current.plus_ones || 0) - (arrived || 0);
+
+    if (admitted.length > room) {
+      await releaseNamed();
+      return {
+        error: room <= 0
+          ? `All of ${guest.name}'s plus-ones have already arrived`
+          : `${guest.name} has only ${room} plus-one${room === 1 ? '' : 's'} left to admit`
+      };
+    }
+
+    let query = supabase
+      .from('guests')
+      .update(withSyncStamp({ plus_ones_arrived: (arrived || 0) + admitted.length }))
+      .eq('id', guest.id);
+    query = arrived === null || arrived === undefined
+      ? query.is('plus_ones_arrived', null)
+      : query.eq('plus_ones_arrived', arrived);
+
+    const { data: updated, error } = await query.select().maybeSingle();
+    if (error) {
+      await releaseNamed();
+      throw error;
+    }
+    if (updated) return { admitted, guest: updated };
+
+    current = await findGuestById(guest.id);
+  }
+
+  await releaseNamed();
+  throw new Error('Party check-in is busy, please try again');
+}
+
+function describeParty(guest, companions) {
+  const size = 1 + (guest.plus_ones || 0);
+  const arrived = (guest.checked_in ? 1 : 0) + (guest.plus_ones_arrived || 0);
+
+  return {
+    size,
+    arrived,
+    label: `${arrived} of ${size} arrived`,
+    primary_checked_in: !!guest.checked_in,
+    plus_ones: guest.plus_ones || 0,
+    plus_ones_arrived: guest.plus_ones_arrived || 0,
+    companions: companions.map(c => ({
+      id: c.id,
+      name: c.name,
+      checked_in: !!c.checked_in,
+      checked_in_at: c.checked_in_at || null
+    }))
+  };
+}
+
+// Admit the primary guest (unless include_primary is false) and the requested part of
+// their party. Returns { error } when the party request doesn't fit, otherwise
+// { outcome, admitted, party } where outcome is shaped like performCheckIn's.
+async function checkInParty(guest, event, party, { checkedInBy }) {
+  let companions = await getGuestCompanions(guest.id);
+
+  if (party.requested) {
+    const problem = findPartyProblem(guest, companions, party);
+    if (problem) return { error: problem };
+  }
+
+  // Companions go first: if another door filled the party in the meantime, nothing
+  // has been admitted yet when we report the error
+  let admitted = [];
+  let current = guest;
+  if (party.requested) {
+    const admission = await admitCompanions(guest, party, { checkedInBy });
+    if (admission.error) return { error: admission.error };
+    admitted = admission.admitted;
+    current = admission.guest;
+    companions = await getGuestCompanions(guest.id);
+  }
+
+  let outcome = party.includePrimary
+    ? await performCheckIn(guest.id, { checkedInBy, event })
+    : { result: 'companions_admitted', guest: current };
+
+  if (outcome.result === 'already_checked_in' && admitted.length > 0) {
+    outcome = { ...outcome, result: 'companions_admitted' };
+  }
+
+  return { outcome, admitted, party: describeParty(outcome.guest, companions) };
+}
+
+// ============================================
+// ACCESS ZONES
+// ============================================
+// Events can define zones (main floor, VIP lounge, backstage) listing the guest categories
+// allowed in. A zone with no categories is open to everyone. Scanners assigned to a zone
+// refuse guests whose category isn't allowed there instead of checking them in.
+
+function isCategoryAllowedInZone(zone, category) {
+  const allowed = zone.allowed_categories || [];
+  if (allowed.length === 0) return true;
+
+  const guestCategory = (category || 'General').toLowerCase();
+  return allowed.some(c => String(c).toLowerCase() === guestCategory);
+}
+
+async function findEventZone(eventId, zoneId) {
+  if (!zoneId) return null;
+
+  const { data } = await supabase
+    .from('event_zones')
+    .select('*')
+    .eq('id', zoneId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  return data;
+}
+
+function zoneDeniedMessage(guest, zone) {
+  return `${guest.category || 'General'} guests are not allowed in ${zone.name}`;
+}
+
+// ============================================
+// GUEST CATEGORIES & WRISTBANDS
+// ============================================
+// Hosts define their own categories per event (Press, Staff, Sponsor, Artist...) in
+// event_categories, each with a wristband color and optional capacity. Guests keep the
+// category *name* in guests.category. Events without categories fall back to the
+// original VIP / General pair and the event-wide wristband_color.
+
+const LEGACY_CATEGORIES = ['VIP', 'General'];
+
+async function getEventCategories(eventId) {
+  const { data, error } = await supabase
+    .from('event_categories')
+    .select('*')
+    .eq('event_id', eventId)
+    .order('sort_order', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+function findCategory(categories, name) {
+  if (!name) return null;
+  const wanted = String(name).trim().toLowerCase();
+  return categories.find(c => c.name.toLowerCase() === wanted) || null;
+}
+
+// Category new registrants get: the one flagged is_default, else the first, else General
+function getDefaultCategoryName(categories) {
+  const category = categories.find(c => c.is_default) || categories[0];
+  return category ? category.name : 'General';
+}
+
+// Check a category name for a guest of this event. Returns { name } with the canonical
+// spelling, or { error } for unknown categories and ones that are at capacity. This check
+// gives a friendly answer up front; two guests racing for the last spot are settled by the
+// enforce_category_capacity trigger (supabase/migrations), see isCategoryFullError.
+async function resolveGuestCategory(eventId, requestedName, { categories, excludeGuestId } = {}) {
+  const eventCategories = categories || await getEventCategories(eventId);
+
+  if (eventCategories.length === 0) {
+    return { name: requestedName || 'General' };
+  }
+
+  const category = requestedName
+    ? findCategory(eventCategories, requestedName)
+    : findCategory(eventCategories, getDefaultCategoryName(eventCategories));
+
+  if (!category) {
+    return { error: `Unknown category "${requestedName}". Choose one of: ${eventCategories.map(c => c.name).join(', ')}` };
+  }
+
+  if (category.capacity) {
+    let query = supabase
+      .from('guests')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', eventId)
+      .eq('category', category.name);
+    if (excludeGuestId) query = query.neq('id', excludeGuestId);
+
+    const { count, error } = await query;
+    if (error) throw error;
+
+    if (count >= category.capacity) {
+      return { error: `The ${category.name} category is full (${category.capacity} guests)` };
+    }
+  }
+
+  return { name: category.name };
+}
+
+// The capacity trigger rejects the write with this hint; its message names the category
+function isCategoryFullError(error) {
+  return !!error && error.hint === 'category_full';
+}
+
+// Which wristband door staff should hand this guest
+function getWristbandForGuest(event, categories, guest) {
+  const category = findCategory(categories || [], guest.category);
+
+  if (category && category.wristband_color) {
+    return { color: category.wristband_color, category: category.name };
+  }
+
+  return event.wristband_color
+    ? { color: event.wristband_color, category: guest.category || 'General' }
+    : null;
+}
+
+// Physical wristband stock per event and color lives in wristband_inventory: the venue
+// records how many were allocated and each first check-in counts one as issued.
+// Without an explicit low_stock_threshold a color is "low" at 10% of its allocation.
+const WRISTBAND_LOW_STOCK_RATIO = 0.1;
+
+function describeWristbandStock(stock) {
+  const allocated = stock.allocated || 0;
+  const issued = stock.issued || 0;
+  const remaining = allocated - issued;
+  const threshold = stock.low_stock_threshold !== null && stock.low_stock_threshold !== undefined
+    ? stock.low_stock_threshold
+    : Math.ceil(allocated * WRISTBAND_LOW_STOCK_RATIO);
+
+  return {
+    color: stock.color,
+    allocated,
+    issued,
+    remaining: Math.max(remaining, 0),
+    over_issued: Math.max(-remaining, 0),
+    low_stock_threshold: threshold,
+    low_stock: remaining <= threshold,
+    out_of_stock: remaining <= 0
+  };
+}
+
+// An event's stock row for a color. Matched case-insensitively in code: colors are free
+// text, and ilike would read % and _ in them as wildcards.
+async function findWristbandStock(eventId, color) {
+  const { data, error } = await supabase
+    .from('wristband_inventory')
+    .select('*')
+    .eq('event_id', eventId);
+
+  if (error) throw error;
+
+  const wanted = String(color).trim().toLowerCase();
+  return (data || []).find(row => String(row.color).toLowerCase() === wanted) || null;
+}
+
+// Move the issued count by `delta` with a compare-and-swap on the old value, so
+// concurrent check-ins at several doors never lose a count. Returns { before, after },
+// or null when the color isn't tracked for this event.
+async function adjustWristbandStock(eventId, color, delta) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const stock = await findWristbandStock(eventId, color);
+    if (!stock) return null;
+
+    const { data: updated, error: updateError } = await supabase
+      .from('wristband_inventory')
+      .update({ issued: Math.max((stock.issued || 0) + delta, 0), updated_at: new Date().toISOString() })
+      .eq('id', stock.id)
+      .eq('issued', stock.issued || 0)
+      .select()
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (updated) return { before: stock, after: updated };
+  }
+
+  throw new Error(`Wristband stock for ${color} is too busy to update`);
+}
+
+// Count wristbands as handed over for a fresh check-in (one per person admitted).
+// Never throws: the guest is already admitted, so an inventory hiccup only costs us the count.
+async function issueWristband(event, guest, categories, count = 1) {
+  const wristband = getWristbandForGuest(event, categories, guest);
+  if (!wristband) return null;
+
+  try {
+    const change = await adjustWristbandStock(event.id, wristband.color, count);
+    if (!change) return wristband;
+
+    const before = describeWristbandStock(change.before);
+    const stock = describeWristbandStock(change.after);
+
+    if ((stock.low_stock && !before.low_stock) || (stock.out_of_stock && !before.out_of_stock)) {
+      console.warn(`⚠️ ${stock.color} wristbands running low for event ${event.id}: ${stock.remaining} left`);
+      publishLiveUpdate(event.id, 'wristband_low_stock', null, { wristband: stock });
+    }
+
+    return { ...wristband, stock };
+  } catch (error) {
+    console.error('⚠️ Failed to update wristband stock:', error.message);
+    return wristband;
+  }
+}
+
+// Put wristbands back in stock when a check-in is undone
+async function returnWristband(event, guest, count = 1) {
+  try {
+    const wristband = getWristbandForGuest(event, await getEventCategories(event.id), guest);
+    if (wristband) await adjustWristbandStock(event.id, wristband.color, -count);
+  } catch (error) {
+    console.error('⚠️ Failed to return wristband to stock:', error.message);
+  }
+}
+
+// ============================================
+// REGISTRATION CAPACITY & WAITLIST
+// ============================================
+// events.registration_cap is a hard limit on confirmed people (guests plus their
+// plus-ones). Registrants beyond it get guests.registration_status = 'waitlisted' and a
+// waitlist_position; they have no pass until promoted. Rows from before the waitlist
+// existed have no registration_status and count as confirmed.
+
+const CONFIRMED_GUEST_FILTER = 'registration_status.is.null,registration_status.eq.confirmed';
+
+function isConfirmedGuest(guest) {
+  return !guest.registration_status || guest.registration_status === 'confirmed';
+}
+
+// Confirmed people (guests plus their plus-ones) against the cap. Rows are counted in the
+// database so big events aren't cut off at the 1000-row page limit; only guests who
+// bring plus-ones are read to add those up.
+async function getRegistrationCapacity(event) {
+  const [confirmed, waitlisted, withPlusOnes] = await Promise.all([
+    supabase
+      .from('guests')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', event.id)
+      .or(CONFIRMED_GUEST_FILTER),
+    supabase
+      .from('guests')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', event.id)
+      .eq('registration_status', 'waitlisted'),
+    fetchAllRows(() => supabase
+      .from('guests')
+      .select('id, plus_ones')
+      .eq('event_id', event.id)
+      .or(CONFIRMED_GUEST_FILTER)
+      .gt('plus_ones', 0)
+      .order('id', { ascending: true }))
+  ]);
+
+  if (confirmed.error) throw confirmed.error;
+  if (waitlisted.error) throw waitlisted.error;
+
+  const registered = (confirmed.count || 0) + withPlusOnes.reduce((sum, g) => sum + (g.plus_ones || 0), 0);
+  const cap = event.registration_cap || null;
+
+  return {
+    registration_cap: cap,
+    registered,
+    remaining: cap ? Math.max(cap - registered, 0) : null,
+    is_full: cap ? registered >= cap : false,
+    waitlisted: waitlisted.count || 0
+  };
+}
+
+async function getNextWaitlistPosition(eventId) {
+  const { data } = await supabase
+    .from('guests')
+    .select('waitlist_position')
+    .eq('event_id', eventId)
+    .eq('registration_status', 'waitlisted')
+    .order('waitlist_position', { ascending: false })
+    .limit(1);
+
+  return ((data && data[0]?.waitlist_position) || 0) + 1;
+}
+
+// People a registration takes up against the cap: the guest and their plus-ones
+function registrationPartySize(guest) {
+  return 1 + (guest.plus_ones || 0);
+}
+
+// Status fields for a new registrant: confirmed while there's room for their whole party,
+// else end of the waitlist
+async function getRegistrationPlacement(event, partySize = 1) {
+  const capacity = await getRegistrationCapacity(event);
+
+  if (!capacity.registration_cap || capacity.remaining >= partySize) {
+    return { registration_status: 'confirmed', waitlist_position: null };
+  }
+
+  return { registration_status: 'waitlisted', waitlist_position: await getNextWaitlistPosition(event.id) };
+}
+
+// Registrations racing for the last spots can both be confirmed. Once the row exists,
+// recount: if the event went over the cap the newcomer moves to the waitlist (and loses its
+// pass), and any spot that frees up is refilled in waitlist order. Returns the guest as it now stands.
+async function settleRegistration(event, guest) {
+  if (!event.registration_cap || !isConfirmedGuest(guest)) return guest;
+
+  const capacity = await getRegistrationCapacity(event);
+  if (capacity.registered <= event.registration_cap) return guest;
+
+  await supabase
+    .from('guests')
+    .update(withSyncStamp({
+      registration_status: 'waitlisted',
+      waitlist_position: await getNextWaitlistPosition(event.id),
+      check_in_token: null
+    }))
+    .eq('id', guest.id)
+    .eq('registration_status', 'confirmed');
+
+  await promoteFromWaitlist(event.id);
+
+  return (await findGuestById(guest.id)) || guest;
+}
+
+// Fill free spots from the front of the waitlist. A party bigger than the space left keeps
+// its place while smaller parties behind it are promoted. Each promoted guest gets their pass
+// and invitation straight away. Returns the promoted guests.
+async function promoteFromWaitlist(eventId) {
+  const event = await findEventById(eventId);
+  if (!event) return [];
+
+  const promoted = [];
+
+  while (true) {
+    const capacity = await getRegistrationCapacity(event);
+    if (capacity.is_full) break;
+
+    let query = supabase
+      .from('guests')
+      .select('*')
+      .eq('event_id', eventId)
+      .eq('registration_status', 'waitlisted');
+
+    if (capacity.registration_cap) {
+      query = query.or(`plus_ones.is.null,plus_ones.lte.${capacity.remaining - 1}`);
+    }
+
+    const { data: next, error: nextError } = await query
+      .order('waitlist_position', { ascending: true })
+      .limit(1);
+
+    if (nextError) throw nextError;
+    if (!next || next.length === 0) break;
+
+    // Conditional so two promotions running at once can't both take the same guest
+    const { data: guest, error } = await supabase
+      .from('guests')
+      .update(withSyncStamp({ registration_status: 'confirmed', waitlist_position: null }))
+      .eq('id', next[0].id)
+      .eq('registration_status', 'waitlisted')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!guest) continue;
+
+    guest.check_in_token = await issueCheckInToken(guest);
+
+    try {
+      await deliverInvitation(guest, event, { email: true, sms: true });
+    } catch (error) {
+      console.error(`⚠️ Could not send invitation to promoted guest ${guest.name}:`, error.message);
+    }
+
+    console.log(`⬆️ Promoted ${guest.name} from the waitlist for ${event.name}`);
+    publishLiveUpdate(eventId, 'guest_updated', guest);
+    promoted.push(guest);
+  }
+
+  return promoted;
+}
+
+// Events with registration_mode 'approval' hold self-registrants as 'pending' (no pass)
+// until the host approves or declines them
+const PENDING_PLACEMENT = { registration_status: 'pending', waitlist_position: null };
+
+// Approved registrants take a spot (or the waitlist when full) and get their invitation.
+// Returns the updated guest, or null if they weren't pending any more.
+async function approveRegistration(event, guest, reviewer) {
+  const placement = await getRegistrationPlacement(event, registrationPartySize(guest));
+
+  const { data: updated, error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({
+      ...placement,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewer.id
+    }))
+    .eq('id', guest.id)
+    .eq('registration_status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) return null;
+
+  const settled = await settleRegistration(event, updated);
+
+  // Guests promoted while settling already have their pass and invitation
+  if (settled.registration_status === 'confirmed' && !settled.check_in_token) {
+    settled.check_in_token = await issueCheckInToken(settled);
+    await deliverInvitation(settled, event, { email: true, sms: true });
+  }
+
+  return settled;
+}
+
+// Declined registrants get a polite email (there's no SMS template for this)
+async function declineRegistration(event, guest, reviewer, note) {
+  const { data: updated, error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({
+      registration_status: 'declined',
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewer.id
+    }))
+    .eq('id', guest.id)
+    .eq('registration_status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) return null;
+
+  // Registrants who only gave a phone number hear about it by SMS
+  if (updated.email) {
+    const emailResult = await sendEmail(
+      updated.email,
+      `Your registration for ${event.name}`,
+      getRegistrationDeclinedEmailHTML(updated, event, note)
+    );
+    if (!emailResult.success) {
+      console.error(`⚠️ Could not send decline notice to ${updated.email}`);
+    }
+  } else if (updated.phone) {
+    try {
+      await sendRegistrationDeclinedSMS(updated, event);
+    } catch (smsError) {
+      console.error(`⚠️ Could not send decline SMS to ${updated.phone}:`, smsError.message);
+    }
+  }
+
+  return updated;
+}
+
+// Guests answer their invitation with guests.rsvp_status 'yes' / 'no' / 'maybe' (null until
+// they respond). Answering 'no' keeps the guest on the list; cancelling
+// (registration_status 'cancelled') gives the spot up and voids the pass.
+const RSVP_RESPONSES = ['yes', 'no', 'maybe'];
+
+// Most plus-ones a guest may choose: the host's per-guest plus_ones_allowed, else the
+// event's max_plus_ones, else only what the host already gave them
+function getPlusOnesLimit(guest, event) {
+  if (guest.plus_ones_allowed !== null && guest.plus_ones_allowed !== undefined) return guest.plus_ones_allowed;
+  if (event.max_plus_ones !== null && event.max_plus_ones !== undefined) return event.max_plus_ones;
+  return guest.plus_ones || 0;
+}
+
+// ============================================
+// GUEST REGISTRATION SERVICE
+// ============================================
+// Every public self-registration flow (/api/events/register/:token, /api/rsvp/:token)
+// goes through registerGuest so validation, dedupe, placement (confirmed / waitlisted /
+// pending), pass issuance and the confirmation message are the same everywhere.
+
+// Raised for anything the registrant can fix or needs to be told; routes turn it into
+// a JSON error with the given status
+class RegistrationError extends Error {
+  constructor(message, { status = 400, reason, fields } = {}) {
+    super(message);
+    this.status = status;
+    this.reason = reason;
+    this.fields = fields;
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+async function findEventByRegistrationToken(token) {
+  const { data: event } = await supabase
+    .from('events')
+    .select('*')
+    .eq('registration_token', token)
+    .maybeSingle();
+
+  return event || null;
+}
+
+function hasEventEnded(event) {
+  if (!event.date) return false;
+  return new Date(`${event.date}T${event.time_end || '23:59'}`) < new Date();
+}
+
+// Why an event (or the tracked link used to reach it) isn't taking registrations right
+// now, or null if it is
+async function getRegistrationBlock(event, link = null) {
+  if (event.status === 'archived') {
+    return { reason: 'closed', message: 'This event is no longer accepting registrations' };
+  }
+  if (event.status !== 'created') {
+    return { reason: 'closed', message: 'Registration is closed for this event' };
+  }
+  if (hasEventEnded(event)) {
+    return { reason: 'ended', message: 'This event has already ended' };
+  }
+  if (event.registration_paused) {
+    return { reason: 'paused', message: 'Registration is paused for now. Please check back later.' };
+  }
+  if (event.registration_opens_at && new Date(event.registration_opens_at) > new Date()) {
+    return {
+      reason: 'not_yet_open',
+      message: 'Registration for this event has not opened yet',
+      opens_at: event.registration_opens_at
+    };
+  }
+  if (event.registration_closes_at && new Date(event.registration_closes_at) <= new Date()) {
+    return { reason: 'closed', message: 'Registration for this event has closed' };
+  }
+  return link ? getRegistrationLinkBlock(link) : null;
+}
+
+// What an open registration page shows about timing and space left
+function describeRegistrationWindow(event, capacity) {
+  const waitlisting = capacity.is_full && event.registration_mode !== 'approval';
+  return {
+    closes_at: event.registration_closes_at || null,
+    is_full: capacity.is_full,
+    reason: capacity.is_full ? 'full' : null,
+    message: waitlisting ? 'This event is full. You can still join the waitlist.' : null
+  };
+}
+
+// Shared by the public GET routes so a closed page tells the registrant why
+function sendRegistrationBlock(res, block) {
+  return res.status(400).json({ error: block.message, reason: block.reason, opens_at: block.opens_at });
+}
+
+// Validate and place one registrant, then send confirmed ones their pass. Returns
+// { guest, confirmation }; throws RegistrationError for bad input, duplicates and closed events.
+// `link` is the tracked registration link used, if any (null for the event's own link).
+async function registerGuest(event, { name, phone, email, answers }, { link = null } = {}) {
+  const block = await getRegistrationBlock(event, link);
+  if (block) {
+    throw new RegistrationError(block.message, { reason: block.reason });
+  }
+
+  const cleanName = typeof name === 'string' ? name.trim() : '';
+  if (!cleanName || !phone) {
+    throw new RegistrationError('Name and phone number are required', { reason: 'invalid' });
+  }
+  if (cleanName.length > 100) {
+    throw new RegistrationError('Name is too long', { reason: 'invalid' });
+  }
+
+  const phoneCountry = await getPhoneCountry(event);
+  const cleanPhone = normalizePhone(phone, phoneCountry);
+  if (!cleanPhone) {
+    throw new RegistrationError(
+      `Please enter a valid phone number, with the country code if it isn't a ${describeCountry(phoneCountry)} number`,
+      { reason: 'invalid' }
+    );
+  }
+
+  const cleanEmail = email ? String(email).trim().toLowerCase() : null;
+  if (cleanEmail && !EMAIL_PATTERN.test(cleanEmail)) {
+    throw new RegistrationError('Please enter a valid email address', { reason: 'invalid' });
+  }
+
+  // The host's extra questions, if the event has any
+  const formCheck = validateFormAnswers(event.registration_form, answers);
+  if (formCheck.errors) {
+    throw new RegistrationError('Please check your answers', { reason: 'invalid', fields: formCheck.errors });
+  }
+
+  // One registration per phone per event; a cancelled one can register again
+  const { data: existing } = await supabase
+    .from('guests')
+    .select('id, name, registration_status')
+    .eq('event_id', event.id)
+    .in('phone', phoneLookupValues(cleanPhone));
+
+  const duplicate = (existing || []).find(g => g.registration_status !== 'cancelled');
+  if (duplicate) {
+    throw new RegistrationError(
+      `You're already registered as "${duplicate.name}". No need to register again!`,
+      { status: 409, reason: 'duplicate' }
+    );
+  }
+
+  // Self-registrants land in the link's category, else the event's default one
+  const resolvedCategory = await resolveGuestCategory(event.id, link?.default_category || undefined);
+  if (resolvedCategory.error) {
+    throw new RegistrationError(resolvedCategory.error, { status: 409, reason: 'category_full' });
+  }
+
+  // Private events hold registrants for approval; full events put them on the waitlist
+  const placement = event.registration_mode === 'approval'
+    ? PENDING_PLACEMENT
+    : await getRegistrationPlacement(event);
+
+  // Confirmed registrants' passes are signed before the row is saved, so a signing failure
+  // leaves nothing behind to block a retry. Pending and waitlisted ones get theirs later.
+  const pass = placement.registration_status === 'confirmed' ? await presignCheckInToken(event.id) : {};
+
+  const { data: inserted, error } = await supabase
+    .from('guests')
+    .insert([withSyncStamp({
+      ...pass,
+      event_id: event.id,
+      name: cleanName,
+      phone: cleanPhone,
+      email: cleanEmail,
+      category: resolvedCategory.name,
+      plus_ones: 0,
+      checked_in: false,
+      source: 'self_registered',
+      is_self_registered: true,
+      invite_token: crypto.randomBytes(32).toString('hex'),
+      form_answers: formCheck.answers,
+      registration_link_id: link?.id || null,
+      ...placement
+    })])
+    .select()
+    .single();
+
+  if (isCategoryFullError(error)) {
+    throw new RegistrationError(error.message, { status: 409, reason: 'category_full' });
+  }
+  if (error) throw error;
+
+  // Two registrants racing for a link's last spot can both get in. Whoever registered
+  // later keeps the row, marked cancelled (so they can try again), and is told it's full.
+  if (link?.cap && (await countEarlierLinkRegistrations(link.id, inserted)) >= link.cap) {
+    await supabase
+      .from('guests')
+      .update(withSyncStamp({ registration_status: 'cancelled', waitlist_position: null }))
+      .eq('id', inserted.id);
+    throw new RegistrationError('This registration link has reached its limit', { status: 409, reason: 'full' });
+  }
+
+  const guest = await settleRegistration(event, inserted);
+
+  // Guests moved to the waitlist and promoted again while settling got a new pass and
+  // their invitation from the promotion
+  let confirmation = null;
+  if (isConfirmedGuest(guest) && guest.check_in_token === inserted.check_in_token) {
+    confirmation = await sendRegistrationConfirmation(guest, event);
+  }
+
+  console.log(`📝 ${guest.name} registered for ${event.name} (${guest.registration_status})`);
+  publishLiveUpdate(event.id, 'guest_added', guest);
+
+  return { guest, confirmation };
+}
+
+// ============================================
+// TRACKED REGISTRATION LINKS
+// ============================================
+// Besides the event's own registration_token, hosts can hand out named links
+// (registration_links: name, token, cap, expires_at, default_category, enabled) to see
+// where registrants come from. Guests who used one carry guests.registration_link_id.
+
+// Registrations that still hold a place on a link (cancelled and declined ones don't)
+const INACTIVE_REGISTRATION_STATUSES = ['cancelled', 'declined'];
+const ACTIVE_REGISTRATION_FILTER = `registration_status.is.null,registration_status.not.in.(${INACTIVE_REGISTRATION_STATUSES.join(',')})`;
+
+// Resolve a public registration token, either the event's own or a tracked link's.
+// Returns { event, link } (link is null for the event's own token) or null.
+async function findRegistrationByToken(token) {
+  const event = await findEventByRegistrationToken(token);
+  if (event) return { event, link: null };
+
+  const { data: link } = await supabase
+    .from('registration_links')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (!link) return null;
+
+  const linkEvent = await findEventById(link.event_id);
+  return linkEvent ? { event: linkEvent, link } : null;
+}
+
+async function countLinkRegistrations(linkId) {
+  const { count, error } = await supabase
+    .from('guests')
+    .select('id', { count: 'exact', head: true })
+    .eq('registration_link_id', linkId)
+    .or(ACTIVE_REGISTRATION_FILTER);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Active registrations on a link that came in before this guest (created_at, then id)
+async function countEarlierLinkRegistrations(linkId, guest) {
+  const { count, error } = await supabase
+    .from('guests')
+    .select('id', { count: 'exact', head: true })
+    .eq('registration_link_id', linkId)
+    .or(ACTIVE_REGISTRATION_FILTER)
+    .or(`created_at.lt."${guest.created_at}",and(created_at.eq."${guest.created_at}",id.lt.${guest.id})`);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+async function getRegistrationLinkBlock(link) {
+  if (!link.enabled) {
+    return { reason: 'disabled', message: 'This registration link has been turned off' };
+  }
+  if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+    return { reason: 'closed', message: 'This registration link has expired' };
+  }
+  if (link.cap && (await countLinkRegistrations(link.id)) >= link.cap) {
+    return { reason: 'full', message: 'This registration link has reached its limit' };
+  }
+  return null;
+}
+
+// Self-registrations per source: the event's own link (link_id null) plus each tracked link
+async function getRegistrationSourceStats(eventId, links) {
+  const eventLinks = links || (await supabase
+    .from('registration_links')
+    .select('*')
+    .eq('event_id', eventId)
+    .order('created_at', { ascending: true })).data || [];
+
+  const guests = await fetchAllRows(() => supabase
+    .from('guests')
+    .select('id, registration_link_id, registration_status, checked_in')
+    .eq('event_id', eventId)
+    .eq('is_self_registered', true)
+    .order('id', { ascending: true }));
+
+  const summarize = (linkId) => {
+    const registrants = guests.filter(g => (g.registration_link_id || null) === linkId);
+    const countStatus = (status) => registrants.filter(g => g.registration_status === status).length;
+    return {
+      registrations: registrants.filter(g => !INACTIVE_REGISTRATION_STATUSES.includes(g.registration_status)).length,
+      confirmed: registrants.filter(isConfirmedGuest).length,
+      waitlisted: countStatus('waitlisted'),
+      pending: countStatus('pending'),
+      cancelled: countStatus('cancelled') + countStatus('declined'),
+      checked_in: registrants.filter(g => g.checked_in).length
+    };
+  };
+
+  return [
+    { link_id: null, name: 'Event registration link', ...summarize(null) },
+    ...eventLinks.map(link => ({ link_id: link.id, name: link.name, ...summarize(link.id) }))
+  ];
+}
+
+// Send a new registrant their invite link (which shows their QR pass) on every channel
+// we have for them. Never throws: the registration itself already succeeded.
+async function sendRegistrationConfirmation(guest, event) {
+  try {
+    return await deliverInvitation(guest, event, { email: true, sms: true }, {
+      subject: `You're registered for ${event.name}`,
+      heading: "✅ You're Registered!",
+      intro: "You're registered for:"
+    });
+  } catch (error) {
+    console.error(`⚠️ Registration confirmation failed for ${guest.name}:`, error.message);
+    return { email: guest.email ? 'failed' : null, sms: guest.phone ? 'failed' : null };
+  }
+}
+
+// Response body for a finished registration, the same for every public flow
+function describeRegistration(event, guest, confirmation) {
+  const base = {
+    success: true,
+    status: guest.registration_status || 'confirmed',
+    guest: { id: guest.id, name: guest.name }
+  };
+
+  if (guest.registration_status === 'pending') {
+    return {
+      ...base,
+      pending_approval: true,
+      message: `Thanks for registering for "${event.name}"! The host will review your registration and we'll send your invitation once it's approved.`
+    };
+  }
+
+  if (guest.registration_status === 'waitlisted') {
+    return {
+      ...base,
+      waitlisted: true,
+      waitlist_position: guest.waitlist_position,
+      message: `"${event.name}" is full. You're #${guest.waitlist_position} on the waitlist and we'll send your invitation if a spot opens up.`
+    };
+  }
+
+  const sentTo = [
+    confirmation?.email === 'sent' && 'email',
+    confirmation?.sms === 'sent' && 'phone'
+  ].filter(Boolean);
+
+  return {
+    ...base,
+    invite_token: guest.invite_token,
+    confirmation: confirmation || { email: null, sms: null },
+    message: sentTo.length > 0
+      ? `You're registered for "${event.name}"! We've sent your pass to your ${sentTo.join(' and ')}.`
+      : `You're registered for "${event.name}"!`
+  };
+}
+
+// Shared by the registration routes: RegistrationError becomes a 4xx, anything else a 500
+function sendRegistrationError(res, error) {
+  if (error instanceof RegistrationError) {
+    return res.status(error.status).json({ error: error.message, reason: error.reason, fields: error.fields });
+  }
+  console.error('❌ Registration error:', error);
+  res.status(500).json({ error: 'Registration failed. Please try again.' });
+}
+
+// ============================================
+// CUSTOM REGISTRATION FORMS
+// ============================================
+// events.registration_form is the list of extra questions a host asks registrants:
+// [{ key, label, type, required, options, min, max, max_length, help }]. Answers are kept
+// per guest in guests.form_answers, keyed by field key.
+
+const REGISTRATION_FIELD_TYPES = ['text', 'textarea', 'number', 'email', 'date', 'select', 'multiselect', 'checkbox'];
+const RESERVED_FIELD_KEYS = ['name', 'phone', 'email', 'answers'];
+const MAX_REGISTRATION_FIELDS = 30;
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Check a host's form definition. Returns { form } with only the known properties kept,
+// or { error } naming the first problem.
+function parseRegistrationForm(fields) {
+  if (!Array.isArray(fields)) return { error: 'fields must be a list' };
+  if (fields.length > MAX_REGISTRATION_FIELDS) {
+    return { error: `A form can have at most ${MAX_REGISTRATION_FIELDS} fields` };
+  }
+
+  const form = [];
+  const keys = new Set();
+
+  for (const [index, field] of fields.entries()) {
+    const where = `Field ${index + 1}`;
+
+    if (!field || typeof field !== 'object') return { error: `${where} is not a field definition` };
+    if (!FIELD_KEY_PATTERN.test(field.key || '')) {
+      return { error: `${where}: key must be lowercase letters, digits or underscores, starting with a letter` };
+    }
+    if (RESERVED_FIELD_KEYS.includes(field.key)) return { error: `${where}: "${field.key}" is already collected by the form` };
+    if (keys.has(field.key)) return { error: `${where}: key "${field.key}" is used twice` };
+    if (!field.label || !String(field.label).trim()) return { error: `${where}: label is required` };
+    if (!REGISTRATION_FIELD_TYPES.includes(field.type)) {
+      return { error: `${where}: type must be one of ${REGISTRATION_FIELD_TYPES.join(', ')}` };
+    }
+
+    const parsed = {
+      key: field.key,
+      label: String(field.label).trim(),
+      type: field.type,
+      required: field.required === true
+    };
+
+    if (field.help) parsed.help = String(field.help).trim();
+
+    if (field.type === 'select' || field.type === 'multiselect') {
+      const options = Array.isArray(field.options)
+        ? [...new Set(field.options.map(o => String(o).trim()).filter(Boolean))]
+        : [];
+      if (options.length === 0) return { error: `${where}: ${field.type} fields need options` };
+      parsed.options = options;
+    }
+
+    if (field.type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (field[bound] !== undefined && field[bound] !== null) {
+          if (typeof field[bound] !== 'number') return { error: `${where}: ${bound} must be a number` };
+          parsed[bound] = field[bound];
+        }
+      }
+    }
+
+    if ((field.type === 'text' || field.type === 'textarea') && field.max_length !== undefined) {
+      if (!Number.isInteger(field.max_length) || field.max_length < 1) {
+        return { error: `${where}: max_length must be a positive whole number` };
+      }
+      parsed.max_length = field.max_length;
+    }
+
+    keys.add(field.key);
+    form.push(parsed);
+  }
+
+  return { form };
+}
+
+// Default limits for free text so a form can't be used to store essays
+const DEFAULT_TEXT_MAX_LENGTH = { text: 200, textarea: 2000 };
+
+function isBlankAnswer(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Check a registrant's answers against the event's form. Returns { answers } with clean
+// values for known fields only, or { errors } keyed by field.
+function validateFormAnswers(form, submitted) {
+  const input = submitted && typeof submitted === 'object' ? submitted : {};
+  const answers = {};
+  const errors = {};
+
+  for (const field of form || []) {
+    const value = input[field.key];
+
+    if (isBlankAnswer(value) || (field.type === 'checkbox' && value !== true)) {
+      if (field.required) {
+        errors[field.key] = field.type === 'checkbox' ? `${field.label} must be accepted` : `${field.label} is required`;
+      } else if (field.type === 'checkbox') {
+        answers[field.key] = false;
+      }
+      continue;
+    }
+
+    switch (field.type) {
+      case 'text':
+      case 'textarea': {
+        const text = String(value).trim();
+        const maxLength = field.max_length || DEFAULT_TEXT_MAX_LENGTH[field.type];
+        if (text.length > maxLength) errors[field.key] = `${field.label} must be at most ${maxLength} characters`;
+        else answers[field.key] = text;
+        break;
+      }
+      case 'number': {
+        const number = Number(value);
+        if (!Number.isFinite(number)) errors[field.key] = `${field.label} must be a number`;
+        else if (field.min !== undefined && number < field.min) errors[field.key] = `${field.label} must be at least ${field.min}`;
+        else if (field.max !== undefined && number > field.max) errors[field.key] = `${field.label} must be at most ${field.max}`;
+        else answers[field.key] = number;
+        break;
+      }
+      case 'email': {
+        const email = String(value).trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) errors[field.key] = `${field.label} must be a valid email address`;
+        else answers[field.key] = email;
+        break;
+      }
+      case 'date': {
+        const date = String(value).trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+          errors[field.key] = `${field.label} must be a date (YYYY-MM-DD)`;
+        } else {
+          answers[field.key] = date;
+        }
+        break;
+      }
+      case 'select':
+        if (!field.options.includes(value)) errors[field.key] = `${field.label} must be one of: ${field.options.join(', ')}`;
+        else answers[field.key] = value;
+        break;
+      case 'multiselect': {
+        const picked = Array.isArray(value) ? [...new Set(value)] : [value];
+        if (picked.some(v => !field.options.includes(v))) {
+          errors[field.key] = `${field.label} must be chosen from: ${field.options.join(', ')}`;
+        } else {
+          answers[field.key] = picked;
+        }
+        break;
+      }
+      case 'checkbox':
+        answers[field.key] = true;
+        break;
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { answers };
+}
+
+// ✅ QR codes are now generated on the frontend using check_in_token
+// No server-side QR image generation needed!
+
+// ⚠️ DEPRECATED: Old QR generation (kept for backward compatibility)
+function generateQRCode(guest, event) {
+  return JSON.stringify({
+    guest_id: guest.id,
+    event_id: event.id,
+    venue_id: event.venue_id,
+    guest_name: guest.name,
+    event_name: event.name,
+    timestamp: Date.now()
+  });
+}
+
+function getQRCodeURL(qrData) {
+  return `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(qrData)}`;
+}
+
+// ============================================
+// EMAIL SERVICE - SENDGRID
+// ============================================
+async function sendEmail(to, subject, htmlContent) {
+  console.log('📧 sendEmail called with:', { to, subject, from: process.env.SENDGRID_FROM_EMAIL });
+  
+  if (!SENDGRID_API_KEY) {
+    console.error('⚠️ SendGrid not configured - skipping email');
+    return { success: false, error: 'SendGrid not configured' };
+  }
+
+  console.log('✅ SendGrid API key found');
+
+  try {
+    const emailPayload = {
+      personalizations: [{
+        to: [{ email: to }],
+        subject: subject
+      }],
+      from: {
+        email: process.env.SENDGRID_FROM_EMAIL || 'noreply@eventcheckin.com',
+        name: 'Event Check-In Pro'
+      },
+      content: [{
+        type: 'text/html',
+        value: htmlContent
+      }]
+    };
+    
+    console.log('📤 Sending to SendGrid API:', JSON.stringify(emailPayload, null, 2));
+    
+    const response = await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      emailPayload,
+      {
+        headers: {
+          'Authorization': `Bearer ${SENDGRID_API_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    
+    console.log('✅ SendGrid response:', response.status, response.statusText);
+    return { success: true };
+  } catch (error) {
+    console.error('❌ SendGrid Error:', error.response?.data || error.message);
+    console.error('Full error:', JSON.stringify(error.response?.data, null, 2));
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================
+// SMS SERVICE - MSG91 (FIXED VERSION!)
+// ============================================
+async function sendSMSInvitation(guest, event) {
+  console.log(`\n📱 === Starting SMS Send Process ===`);
+  console.log(`📱 Guest: ${guest.name}`);
+  console.log(`📱 Phone: ${guest.phone}`);
+  console.log(`📱 Event: ${event.name}`);
+  
+  // ✅ FIX: Check process.env DIRECTLY, not constants!
+  console.log(`\n🔍 Checking MSG91 Configuration...`);
+  console.log(`MSG91_AUTH_KEY in env: ${!!process.env.MSG91_AUTH_KEY}`);
+  console.log(`MSG91_TEMPLATE_ID in env: ${!!process.env.MSG91_TEMPLATE_ID}`);
+  
+  if (process.env.MSG91_AUTH_KEY) {
+    console.log(`✅ AUTH_KEY found`);
+  } else {
+    console.error(`❌ MSG91_AUTH_KEY is missing from environment`);
+  }
+  
+  if (process.env.MSG91_TEMPLATE_ID) {
+    console.log(`✅ TEMPLATE_ID found: ${process.env.MSG91_TEMPLATE_ID}`);
+  } else {
+    console.error(`❌ MSG91_TEMPLATE_ID is missing from environment`);
+  }
+  
+  // Check if MSG91 is configured - use process.env directly!
+  if (!process.env.MSG91_AUTH_KEY || !process.env.MSG91_TEMPLATE_ID) {
+    console.error('⚠️ MSG91 not configured');
+    throw new Error('MSG91 not configured');
+  }
+  
+  console.log('✅ MSG91 is configured!');
+  
+  try {
+    // Full international number, whatever country the guest is from
+    const cleanPhone = toSmsRecipient(guest.phone);
+    if (!cleanPhone) {
+      throw new Error(`Invalid phone number: ${guest.phone}`);
+    }
+    console.log(`📱 Formatted phone: ${cleanPhone}`);
+    
+    // Generate QR code URL from check-in token
+    const qrCodeURL = getQRCodeURL(guest.check_in_token || guest.qr_code || '');
+    
+    // Format date
+    const eventDate = new Date(event.date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+    
+    // MSG91 payload - use process.env directly!
+    const msg91Payload = {
+      template_id: process.env.MSG91_TEMPLATE_ID,
+      short_url: '0',
+      recipients: [{
+        mobiles: cleanPhone,
+        var1: guest.name,
+        var2: event.name,
+        var3: eventDate,
+        var4: qrCodeURL
+      }]
+    };
+    
+    // Add DLT Template ID if available
+    if (process.env.MSG91_DLT_TEMPLATE_ID) {
+      msg91Payload.DLT_TE_ID = process.env.MSG91_DLT_TEMPLATE_ID;
+    }
+    
+    console.log('\n📤 MSG91 Payload:', JSON.stringify(msg91Payload, null, 2));
+    
+    // Call MSG91 API - use process.env directly!
+    console.log('📱 Calling MSG91 API...');
+    const response = await axios.post(
+      'https://control.msg91.com/api/v5/flow/',
+      msg91Payload,
+      {
+        headers: {
+          'authkey': process.env.MSG91_AUTH_KEY,
+          'content-type': 'application/json'
+        }
+      }
+    );
+    
+    const result = response.data;
+    console.log('\n📱 MSG91 Response Status:', response.status);
+    console.log('📱 MSG91 Response:', JSON.stringify(result, null, 2));
+    
+    if (result.type === 'error') {
+      console.error('❌ MSG91 returned error:', result);
+      throw new Error(result.message || 'MSG91 API error');
+    }
+    
+    console.log(`✅ SMS sent successfully to ${guest.phone}`);
+    console.log(`📱 === SMS Send Complete ===\n`);
+    
+    return { success: true, data: result };
+    
+  } catch (error) {
+    console.error(`❌ SMS failed for ${guest.phone}:`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Decline notice for registrants without an email. MSG91 only sends pre-approved (DLT)
+// templates, so this needs its own: var1 guest name, var2 event name.
+async function sendRegistrationDeclinedSMS(guest, event) {
+  if (!process.env.MSG91_AUTH_KEY || !process.env.MSG91_DECLINE_TEMPLATE_ID) {
+    throw new Error('MSG91 decline template not configured');
+  }
+
+  const cleanPhone = toSmsRecipient(guest.phone);
+  if (!cleanPhone) {
+    throw new Error(`Invalid phone number: ${guest.phone}`);
+  }
+
+  const response = await axios.post(
+    'https://control.msg91.com/api/v5/flow/',
+    {
+      template_id: process.env.MSG91_DECLINE_TEMPLATE_ID,
+      short_url: '0',
+      recipients: [{ mobiles: cleanPhone, var1: guest.name, var2: event.name }]
+    },
+    {
+      headers: {
+        'authkey': process.env.MSG91_AUTH_KEY,
+        'content-type': 'application/json'
+      }
+    }
+  );
+
+  if (response.data?.type === 'error') {
+    throw new Error(response.data.message || 'MSG91 API error');
+  }
+
+  console.log(`📱 Decline notice sent to ${guest.phone}`);
+  return { success: true };
+}
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+
+// Names, event details and notes come from hosts and public registrants, so everything
+// interpolated into an email is escaped
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getGuestInvitationEmailHTML(guest, event, inviteUrl, { heading = "🎉 You're Invited!", intro = "You're invited to:" } = {}) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
+          <tr>
+            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; border-radius: 8px 8px 0 0;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">${escapeHtml(heading)}</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="font-size: 16px; color: #333;">Hi <strong>${escapeHtml(guest.name)}</strong>,</p>
+              <p style="font-size: 16px; color: #333;">${escapeHtml(intro)}</p>
+              
+              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
+                <h2 style="margin: 0 0 15px 0; color: #333;">${escapeHtml(event.name)}</h2>
+                <p style="margin: 5px 0; color: #666;">📅 ${escapeHtml(event.date)}</p>
+                <p style="margin: 5px 0; color: #666;">🕐 ${escapeHtml(event.time_start)} - ${escapeHtml(event.time_end)}</p>
+                <p style="margin: 5px 0; color: #666;">📍 ${escapeHtml(event.venue_name)}</p>
+                ${guest.category ? `<p style="margin: 5px 0; color: #666;">🎫 ${escapeHtml(guest.category)}</p>` : ''}
+                ${guest.plus_ones > 0 ? `<p style="margin: 5px 0; color: #666;">👥 +${guest.plus_ones} guests</p>` : ''}
+              </div>
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${escapeHtml(inviteUrl)}" 
+                   style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
+                  View Your Invitation
+                </a>
+              </div>
+              
+              <p style="font-size: 14px; color: #666; text-align: center; margin-top: 30px;">
+                Your invitation includes a QR code for easy check-in at the event.
+              </p>
+              
+              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+              
+              <p style="color: #9ca3af; font-size: 12px; text-align: center;">
+                If the button doesn't work, copy and paste this link:<br>
+                <a href="${escapeHtml(inviteUrl)}" style="color: #667eea; word-break: break-all;">${escapeHtml(inviteUrl)}</a>
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function getRegistrationDeclinedEmailHTML(guest, event, note) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
+          <tr>
+            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; border-radius: 8px 8px 0 0;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">Thank you for registering</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="font-size: 16px; color: #333;">Hi <strong>${escapeHtml(guest.name)}</strong>,</p>
+              <p style="font-size: 16px; color: #333;">
+                Thank you for your interest in <strong>${escapeHtml(event.name)}</strong>. Unfortunately the host
+                isn't able to confirm your place at this event.
+              </p>
+              ${note ? `
+              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
+                <p style="margin: 0; color: #666;">${escapeHtml(note)}</p>
+              </div>` : ''}
+              <p style="font-size: 16px; color: #333;">We hope to see you at a future event.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function getInvitationEmailHTML(guest, event, qrCodeURL) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
+          <tr>
+            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
+              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">You're Invited!</h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="font-size: 16px; color: #333;">Hi <strong>${escapeHtml(guest.name)}</strong>,</p>
+              <p style="font-size: 16px; color: #333;">You're invited to:</p>
+              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
+                <h2 style="margin: 0 0 15px 0; color: #333;">${escapeHtml(event.name)}</h2>
+                <p style="margin: 5px 0; color: #666;">📅 ${escapeHtml(event.date)}</p>
+                <p style="margin: 5px 0; color: #666;">🕐 ${escapeHtml(event.time_start)} - ${escapeHtml(event.time_end)}</p>
+                <p style="margin: 5px 0; color: #666;">📍 ${escapeHtml(event.venue_name)}</p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <img src="${escapeHtml(qrCodeURL)}" alt="QR Code" style="width: 250px; height: 250px; border: 3px solid #667eea; border-radius: 8px;" />
+                <p style="font-size: 14px; color: #666; margin-top: 15px;">Show this QR code at the entrance</p>
+              </div>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+function getInviteEmailHTML(name, inviteUrl, role, venueId) {
+  const roleText = role === 'venue' ? 'Venue Staff' : role === 'admin' ? 'Administrator' : 'Event Host';
+  
+  return `
 <!DOCTYPE html>
 <html>
 <head>
@@ -271,1535 +2305,4197 @@ function getGuestInvitationEmailHTML(guest, event, inviteUrl) {
       <td align="center">
         <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
           <tr>
-            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
               <h1 style="color: #ffffff; margin: 0; font-size: 28px;">🎉 You're Invited!</h1>
             </td>
           </tr>
           <tr>
             <td style="padding: 40px 30px;">
-              <p style="font-size: 16px; color: #333;">Hi <strong>${guest.name}</strong>,</p>
-              <p style="font-size: 16px; color: #333;">You're invited to:</p>
+              <p style="font-size: 16px; color: #333;">Hi <strong>${name}</strong>,</p>
+              <p style="font-size: 16px; color: #333;">
+                You've been invited to join <strong>Event Check-In Pro</strong> as a <strong>${roleText}</strong>.
+              </p>
+              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
+                <p style="margin: 0; color: #666; font-size: 14px;">
+                  Event Check-In Pro is a modern guest list management and check-in system that makes event management effortless.
+                </p>
+              </div>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${inviteUrl}" style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
+                  Accept Invitation
+                </a>
+              </div>
+              <p style="font-size: 14px; color: #666; margin-top: 30px;">
+                This invitation will expire in <strong>48 hours</strong>.
+              </p>
+              <p style="font-size: 12px; color: #999; margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee;">
+                If you didn't expect this invitation, you can safely ignore this email.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `;
+}
+
+// ============================================
+// AUTH MIDDLEWARE
+// ============================================
+
+// Verify the Supabase access token returned by /api/auth/login
+// (Authorization: Bearer <session.access_token>) and attach the users row as req.user
+const requireAuth = async (req, res, next) => {
+  try {
+    const [scheme, accessToken] = (req.headers.authorization || '').split(' ');
+
+    if (scheme !== 'Bearer' || !accessToken) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { data: authData, error: authError } = await supabase.auth.getUser(accessToken);
+
+    if (authError || !authData?.user) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', authData.user.id)
+      .single();
+
+    if (!user) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({ error: 'Account is not active', status: user.status });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('❌ Auth middleware error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+function hashScannerCredential(credential) {
+  return crypto.createHash('sha256').update(String(credential)).digest('hex');
+}
+
+// Routes door scanners call accept either a user session or a paired scanner device
+// credential (Authorization: Scanner <credential>). Devices end up on req.scanner and
+// are limited to checking in for their own event (see canRequest).
+const requireUserOrScanner = async (req, res, next) => {
+  const [scheme, credential] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Scanner') {
+    return requireAuth(req, res, next);
+  }
+
+  try {
+    if (!credential) {
+      return res.status(401).json({ error: 'Scanner credential required' });
+    }
+
+    const { data: device } = await supabase
+      .from('scanner_devices')
+      .select('*')
+      .eq('credential_hash', hashScannerCredential(credential))
+      .maybeSingle();
+
+    if (!device) {
+      return res.status(401).json({ error: 'Unknown scanner credential' });
+    }
+    if (device.status !== 'active') {
+      return res.status(403).json({ error: 'This scanner has been revoked', status: device.status });
+    }
+
+    // Keep last_seen_at roughly current without a write on every scan
+    if (!device.last_seen_at || Date.now() - new Date(device.last_seen_at).getTime() > 60 * 1000) {
+      supabase
+        .from('scanner_devices')
+        .update({ last_seen_at: new Date().toISOString() })
+        .eq('id', device.id)
+        .then(({ error }) => error && console.error('⚠️ Failed to update scanner last_seen_at:', error.message));
+    }
+
+    req.scanner = device;
+    next();
+  } catch (error) {
+    console.error('❌ Scanner auth error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Must run after requireAuth
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+
+  next();
+};
+
+function isValidServiceKey(key) {
+  if (!process.env.INTERNAL_SERVICE_KEY || !key) return false;
+
+  // Compare digests so timingSafeEqual gets equal-length buffers
+  const expected = crypto.createHash('sha256').update(process.env.INTERNAL_SERVICE_KEY).digest();
+  const provided = crypto.createHash('sha256').update(String(key)).digest();
+  return crypto.timingSafeEqual(expected, provided);
+}
+
+// Maintenance routes: scheduled jobs authenticate with the INTERNAL_SERVICE_KEY
+// (x-service-key header); everyone else must be a signed-in admin
+const requireAdminOrService = (req, res, next) => {
+  const serviceKey = req.headers['x-service-key'];
+
+  if (serviceKey) {
+    if (!isValidServiceKey(serviceKey)) {
+      return res.status(401).json({ error: 'Invalid service key' });
+    }
+    req.isServiceCall = true;
+    return next();
+  }
+
+  requireAuth(req, res, () => requireAdmin(req, res, next));
+};
+
+// ============================================
+// AUTHORIZATION POLICY
+// ============================================
+
+// Which relationships to an event may perform each action.
+// Admins may perform every action.
+const EVENT_PERMISSIONS = {
+  'event:view': ['host', 'venue'],
+  'event:edit': ['host'],
+  'event:wristband': ['host', 'venue'],
+  'event:delete': ['host', 'venue'],
+  'event:restore': ['host', 'venue'],
+  'event:purge': ['host'],
+  'registration:manage': ['host'],
+  'invitations:send': ['host'],
+  'guest:view': ['host', 'venue'],
+  'guest:create': ['host'],
+  'guest:walkin': ['host', 'venue'],
+  'guest:edit': ['host'],
+  'guest:delete': ['host'],
+  'guest:checkin': ['host', 'venue'],
+  'checkin:log': ['host', 'venue'],
+  'checkin:undo': ['host', 'venue'],
+  'event:door_settings': ['host', 'venue'],
+  'scanner:manage': ['host', 'venue'],
+  'zone:manage': ['host', 'venue'],
+  'category:manage': ['host'],
+  'wristband:inventory': ['venue'],
+  'guest:export': ['host']
+};
+
+// Caller's relationship to an event: 'admin', 'host', 'venue' or null
+function getEventRole(user, event) {
+  if (!user || !event) return null;
+  if (user.role === 'admin') return 'admin';
+  if (event.host_id && event.host_id === user.id) return 'host';
+  if (user.role === 'venue' && user.venue_id && String(user.venue_id) === String(event.venue_id)) {
+    return 'venue';
+  }
+  return null;
+}
+
+function can(user, action, event) {
+  const role = getEventRole(user, event);
+  if (!role) return false;
+  if (role === 'admin') return true;
+  return (EVENT_PERMISSIONS[action] || []).includes(role);
+}
+
+// Paired scanner devices may only scan for the one event they were paired to
+const SCANNER_PERMISSIONS = ['guest:checkin'];
+
+// can() for a request that may come from a user or a scanner device
+function canRequest(req, action, event) {
+  if (req.scanner) {
+    return SCANNER_PERMISSIONS.includes(action) &&
+      !!event && String(req.scanner.event_id) === String(event.id);
+  }
+  return can(req.user, action, event);
+}
+
+function canActAsHost(user, hostId) {
+  return user.role === 'admin' || user.id === hostId;
+}
+
+function canActAsVenue(user, venueId) {
+  return user.role === 'admin' ||
+    (user.role === 'venue' && String(user.venue_id) === String(venueId));
+}
+
+function sendForbidden(res, action) {
+  return res.status(403).json({
+    error: 'You do not have permission to perform this action',
+    action
+  });
+}
+
+async function findEventById(eventId) {
+  if (!eventId) return null;
+
+  const { data } = await supabase
+    .from('events')
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  return data;
+}
+
+async function findGuestById(guestId) {
+  if (!guestId) return null;
+
+  const { data } = await supabase
+    .from('guests')
+    .select('*')
+    .eq('id', guestId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Target resolvers for authorizeEvent()
+const eventFromParam = (name) => async (req) => ({ event: await findEventById(req.params[name]) });
+const eventFromBody = (name) => async (req) => ({ event: await findEventById(req.body[name]) });
+const eventFromGuestParam = (name) => async (req) => {
+  const guest = await findGuestById(req.params[name]);
+  if (!guest) return { notFound: 'Guest not found' };
+  return { guest, event: await findEventById(guest.event_id) };
+};
+
+// Load the event a request targets and check the caller may perform `action` on it.
+// `action` may be a function of req. Sets req.event, req.eventRole and (if resolved) req.guest.
+// Must run after requireAuth (or requireUserOrScanner).
+function authorizeEvent(action, resolveTarget) {
+  return async (req, res, next) => {
+    try {
+      const target = await resolveTarget(req);
+
+      if (target.notFound) {
+        return res.status(404).json({ error: target.notFound });
+      }
+      if (!target.event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const requiredAction = typeof action === 'function' ? action(req) : action;
+      if (!canRequest(req, requiredAction, target.event)) {
+        return sendForbidden(res, requiredAction);
+      }
+
+      req.event = target.event;
+      req.eventRole = req.scanner ? 'scanner' : getEventRole(req.user, target.event);
+      if (target.guest) req.guest = target.guest;
+
+      next();
+    } catch (error) {
+      console.error('❌ Authorization error:', error);
+      res.status(500).json({ error: 'Authorization check failed' });
+    }
+  };
+}
+
+// ============================================
+// RATE LIMITING
+// ============================================
+
+// Fixed-window counters kept in process memory. For several server instances, point
+// RATE_LIMIT_STORE_MODULE at a module exporting an object with the same async
+// hit / peek / reset methods backed by a shared store (Redis, Postgres, ...)
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  // Count one request against `key`; returns the count in the current window
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async peek(key) {
+    const entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= Date.now()) {
+      return { count: 0, resetAt: null };
+    }
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+const rateLimitStore = process.env.RATE_LIMIT_STORE_MODULE
+  ? require(require('path').resolve(process.env.RATE_LIMIT_STORE_MODULE))
+  : new MemoryRateLimitStore();
+
+// Defaults can be overridden per limiter, e.g. RATE_LIMIT_CHECKIN_PER_IP=900
+function rateLimitConfig(name, defaults) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const envInt = (suffix, fallback) => parseInt(process.env[`${prefix}_${suffix}`], 10) || fallback;
+
+  return {
+    windowMs: envInt('WINDOW_MS', defaults.windowMs),
+    perIp: envInt('PER_IP', defaults.perIp),
+    perToken: envInt('PER_TOKEN', defaults.perToken)
+  };
+}
+
+const RATE_LIMITS = {
+  registration: rateLimitConfig('registration', { windowMs: 15 * 60 * 1000, perIp: 20, perToken: 300 }),
+  checkin: rateLimitConfig('checkin', { windowMs: 60 * 1000, perIp: 600, perToken: 10 }),
+  invite_lookup: rateLimitConfig('invite_lookup', { windowMs: 15 * 60 * 1000, perIp: 100, perToken: 30 }),
+  scanner_pairing: rateLimitConfig('scanner_pairing', { windowMs: 15 * 60 * 1000, perIp: 20 }),
+  forgot_password: rateLimitConfig('forgot_password', { windowMs: 60 * 60 * 1000, perIp: 10, perToken: 3 }),
+  // perIp here is the number of failed token lookups allowed before the client is locked out
+  failed_lookup: rateLimitConfig('failed_lookup', { windowMs: 15 * 60 * 1000, perIp: 20 })
+};
+
+// Signed-in callers and scanner devices are limited per account/device (a whole venue
+// may share one IP), others per IP
+function getClientKey(req) {
+  if (req.scanner) return `scanner:${req.scanner.id}`;
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil(((resetAt || Date.now()) - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: message || 'Too many requests. Please try again later.',
+    retry_after: retryAfter
+  });
+}
+
+// Limit requests per client and, when getToken returns a value, per token
+function rateLimit(name, getToken) {
+  const config = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    try {
+      const checks = [[`${name}:${getClientKey(req)}`, config.perIp]];
+
+      const token = getToken ? getToken(req) : null;
+      if (token && config.perToken) {
+        checks.push([`${name}:token:${String(token).trim().toLowerCase()}`, config.perToken]);
+      }
+
+      for (const [key, max] of checks) {
+        const { count, resetAt } = await rateLimitStore.hit(key, config.windowMs);
+        if (count > max) {
+          console.log(`🚦 Rate limit hit: ${key}`);
+          return sendTooManyRequests(res, resetAt);
+        }
+      }
+
+      next();
+    } catch (error) {
+      // Fail open: a broken shared store must not take check-in down
+      console.error('⚠️ Rate limit store error:', error.message);
+      next();
+    }
+  };
+}
+
+// Reject clients that have recently guessed too many tokens (check-in, invite,
+// registration). Handlers call recordFailedLookup() whenever a token doesn't match.
+const throttleFailedLookups = async (req, res, next) => {
+  try {
+    const { count, resetAt } = await rateLimitStore.peek(`failed_lookup:${getClientKey(req)}`);
+
+    if (count >= RATE_LIMITS.failed_lookup.perIp) {
+      return sendTooManyRequests(res, resetAt, 'Too many invalid codes. Please wait before trying again.');
+    }
+
+    next();
+  } catch (error) {
+    console.error('⚠️ Rate limit store error:', error.message);
+    next();
+  }
+};
+
+async function recordFailedLookup(req) {
+  try {
+    await rateLimitStore.hit(`failed_lookup:${getClientKey(req)}`, RATE_LIMITS.failed_lookup.windowMs);
+  } catch (error) {
+    console.error('⚠️ Rate limit store error:', error.message);
+  }
+}
+
+// ============================================
+// API ROUTES
+// ============================================
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'OK', 
+    timestamp: new Date(),
+    supabase: SUPABASE_URL ? 'configured' : 'missing',
+    supabase_admin: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'configured' : 'missing',
+    sendgrid: SENDGRID_API_KEY ? 'configured' : 'missing',
+    msg91: process.env.MSG91_AUTH_KEY ? 'configured' : 'missing',
+    msg91_template: process.env.MSG91_TEMPLATE_ID ? 'configured' : 'missing'
+  });
+});
+
+// ============================================
+// AUTH ROUTES - UPDATED WITH HOST APPROVAL + FORGOT PASSWORD!
+// ============================================
+
+const SIGNUP_ROLES = ['host', 'venue'];
+
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const { email, password, name, phone, role, venue_id } = req.body;
+    
+    // Self-signup is for hosts and venue staff only; admins are invited or created by the service role
+    if (!SIGNUP_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${SIGNUP_ROLES.join(', ')}` });
+    }
+    
+    // Validation for venue users
+    if (role === 'venue' && !venue_id) {
+      return res.status(400).json({ error: 'Venue users must select a venue' });
+    }
+    
+    const { data: authData, error: authError } = await supabase.auth.signUp({
+      email,
+      password
+    });
+    
+    if (authError) throw authError;
+    
+    // Fetch venue name if venue_id provided
+    let venue_name = null;
+    if (venue_id && role === 'venue') {
+      const { data: venueData } = await supabase
+        .from('venues')
+        .select('name')
+        .eq('id', venue_id)
+        .single();
+      
+      venue_name = venueData?.name || null;
+    }
+    
+    // ✅ Hosts auto-approved, venue staff still needs admin approval
+    const status = (role === 'venue') ? 'pending' : 'active';
+    
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .insert([{
+        id: authData.user.id,
+        email,
+        name,
+        phone,
+        role,
+        venue_id: role === 'venue' ? venue_id : null,
+        venue_name: role === 'venue' ? venue_name : null,
+        status: status
+      }])
+      .select()
+      .single();
+    
+    if (userError) throw userError;
+    
+    // ✅ CHANGED: Only venue users get pending approval email
+    if (role === 'venue' && process.env.SENDGRID_API_KEY) {
+      const accountType = 'Venue Manager';
+      
+      const emailHTML = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="UTF-8">
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: white; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; }
+            .status { display: inline-block; padding: 8px 16px; background: #ffa500; color: white; border-radius: 20px; font-weight: bold; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>⏳ Account Pending Approval</h1>
+            </div>
+            <div class="content">
+              <p>Hi <strong>${name}</strong>,</p>
+              <p>Thank you for registering with Event Check-In Pro!</p>
               
-              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
-                <h2 style="margin: 0 0 15px 0; color: #333;">${event.name}</h2>
-                <p style="margin: 5px 0; color: #666;">📅 ${event.date}</p>
-                <p style="margin: 5px 0; color: #666;">🕐 ${event.time_start} - ${event.time_end}</p>
-                <p style="margin: 5px 0; color: #666;">📍 ${event.venue_name}</p>
-                ${guest.category ? `<p style="margin: 5px 0; color: #666;">🎫 ${guest.category}</p>` : ''}
-                ${guest.plus_ones > 0 ? `<p style="margin: 5px 0; color: #666;">👥 +${guest.plus_ones} guests</p>` : ''}
+              <div class="info-box">
+                <p><strong>Account Type:</strong> ${accountType}</p>
+                ${role === 'venue' ? `<p><strong>Venue:</strong> ${venue_name}</p>` : ''}
+                <p><strong>Status:</strong> <span class="status">Pending Approval</span></p>
               </div>
               
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${inviteUrl}" 
-                   style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                  View Your Invitation
-                </a>
-              </div>
+              <p>Your account has been created and is currently pending admin approval. This is a security measure to ensure the quality of our platform.</p>
               
-              <p style="font-size: 14px; color: #666; text-align: center; margin-top: 30px;">
-                Your invitation includes a QR code for easy check-in at the event.
-              </p>
+              <p><strong>What happens next?</strong></p>
+              <ul>
+                <li>Our admin team will review your account</li>
+                <li>You'll receive an email notification once approved (usually within 24-48 hours)</li>
+                <li>After approval, you can login and start managing events</li>
+              </ul>
               
-              <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+              <p>If you have any questions, please contact our support team.</p>
               
-              <p style="color: #9ca3af; font-size: 12px; text-align: center;">
-                If the button doesn't work, copy and paste this link:<br>
-                <a href="${inviteUrl}" style="color: #667eea; word-break: break-all;">${inviteUrl}</a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `;
+              <p>Thank you for your patience!<br>
+              <strong>Event Check-In Pro Team</strong></p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+      
+      await sendEmail(
+        email,
+        'Account Pending Approval - Event Check-In Pro',
+        emailHTML
+      );
+    }
+    
+    res.json({ 
+      success: true, 
+      user: userData,
+      message: role === 'venue' 
+        ? 'Account created! Pending admin approval. Check your email for details.' 
+        : 'Account created successfully!'
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ UPDATED: Login now checks if user is approved
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    const { data, error } = await supabase.auth.signInWithPassword({
+      email,
+      password
+    });
+    
+    if (error) throw error;
+    
+    const { data: userData } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', data.user.id)
+      .single();
+    
+    // ✅ CHANGED: Check if account is approved
+    if (userData && userData.status === 'pending') {
+      return res.status(403).json({ 
+        error: 'Account pending approval',
+        message: 'Your account is awaiting admin approval. You will receive an email once approved.',
+        status: 'pending'
+      });
+    }
+    
+    if (userData && userData.status === 'rejected') {
+      return res.status(403).json({ 
+        error: 'Account rejected',
+        message: 'Your account registration was not approved. Please contact support for more information.',
+        status: 'rejected'
+      });
+    }
+    
+    res.json({ 
+      success: true, 
+      user: userData,
+      session: data.session 
+    });
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+  }
+});
+
+// ============================================
+// 🔐 FORGOT PASSWORD ENDPOINTS - NEW!
+// ============================================
+
+// Forgot password - send reset link
+app.post('/api/auth/forgot-password', rateLimit('forgot_password', (req) => req.body.email), async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    console.log('🔐 Forgot password request for:', email);
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Check if user exists
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, name, email')
+      .eq('email', email)
+      .single();
+
+    // Always return success even if user doesn't exist (security best practice)
+    if (userError || !user) {
+      console.log('User not found, but returning success for security');
+      return res.json({ 
+        success: true, 
+        message: 'If an account exists with that email, a password reset link has been sent.' 
+      });
+    }
+
+    // Generate reset token (valid for 1 hour)
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetExpiry = new Date(Date.now() + 3600000); // 1 hour from now
+
+    // Store reset token in database
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ 
+        reset_token: resetToken,
+        reset_token_expiry: resetExpiry.toISOString()
+      })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('Error storing reset token:', updateError);
+      throw updateError;
+    }
+
+    // Create reset link
+    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+    // Send email with SendGrid
+    if (SENDGRID_API_KEY) {
+      const emailHTML = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
+            <h1 style="color: white; margin: 0;">Event Check-In Pro</h1>
+          </div>
+          
+          <div style="padding: 40px 20px; background: #f9fafb;">
+            <h2 style="color: #1f2937; margin-top: 0;">Password Reset Request</h2>
+            
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              Hi ${user.name},
+            </p>
+            
+            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
+              We received a request to reset your password for your Event Check-In Pro account.
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${resetLink}" 
+                 style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
+                Reset Password
+              </a>
+            </div>
+            
+            <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
+              This link will expire in 1 hour for security reasons.
+            </p>
+            
+            <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
+              If you didn't request this password reset, you can safely ignore this email. Your password will remain unchanged.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
+            
+            <p style="color: #9ca3af; font-size: 12px;">
+              If the button doesn't work, copy and paste this link into your browser:<br>
+              <a href="${resetLink}" style="color: #667eea; word-break: break-all;">${resetLink}</a>
+            </p>
+          </div>
+          
+          <div style="padding: 20px; text-align: center; background: #1f2937; color: #9ca3af; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} Event Check-In Pro. All rights reserved.</p>
+          </div>
+        </div>
+      `;
+
+      await sendEmail(
+        user.email,
+        'Password Reset Request - Event Check-In Pro',
+        emailHTML
+      );
+      
+      console.log('✅ Password reset email sent to:', user.email);
+    }
+
+    res.json({ 
+      success: true, 
+      message: 'Password reset link has been sent to your email.' 
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process password reset request. Please try again.' 
+    });
+  }
+});
+
+// ✅ FIXED: Reset password with token (using admin client)
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    console.log('🔐 Reset password request with token');
+    
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Token and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    }
+
+    // Find user with valid token
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, email, reset_token_expiry')
+      .eq('reset_token', token)
+      .single();
+
+    if (userError || !user) {
+      console.log('❌ Token not found or invalid');
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // Check if token is expired
+    const expiryDate = new Date(user.reset_token_expiry);
+    if (expiryDate < new Date()) {
+      console.log('❌ Token expired:', expiryDate, 'Current:', new Date());
+      return res.status(400).json({ error: 'Reset token has expired. Please request a new one.' });
+    }
+
+    console.log('✅ Token valid for user:', user.email);
+
+    // ✅ FIXED: Use admin client to update password in Supabase Auth
+    const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(
+      user.id,
+      { password: newPassword }
+    );
+
+    if (authError) {
+      console.error('❌ Error updating auth password:', authError);
+      throw authError;
+    }
+
+    console.log('✅ Supabase Auth password updated');
+
+    // Clear reset token
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({ 
+        reset_token: null,
+        reset_token_expiry: null
+      })
+      .eq('id', user.id);
+
+    if (updateError) {
+      console.error('⚠️ Error clearing token (password was updated):', updateError);
+      // Don't throw - password was already updated successfully
+    }
+
+    console.log('✅ Password reset successful for:', user.email);
+
+    res.json({ 
+      success: true, 
+      message: 'Password has been reset successfully. You can now login with your new password.' 
+    });
+
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reset password. Please try again or request a new reset link.' 
+    });
+  }
+});
+
+// ============================================
+// EVENT ROUTES (WITH LIFECYCLE)
+// ============================================
+
+// ✅ UPDATED: Create event with status 'created'
+app.post('/api/events', requireAuth, async (req, res) => {
+  try {
+    const { name, date, time_start, time_end, venue_id, host_id, host_name, expected_guests, description } = req.body;
+    
+    // Hosts can only create events for themselves; admins may create on behalf of a host
+    if (req.user.role !== 'admin' && (req.user.role !== 'host' || host_id !== req.user.id)) {
+      return sendForbidden(res, 'event:create');
+    }
+    
+    // Optional default country for guest phone numbers (falls back to the venue's)
+    const phone_country = req.body.phone_country ? normalizeCountryCode(req.body.phone_country) : null;
+    if (req.body.phone_country && !phone_country) {
+      return res.status(400).json({ error: 'phone_country must be a two-letter country code' });
+    }
+    
+    // Fetch venue name from venues table
+    let venue_name = null;
+    if (venue_id) {
+      const { data: venueData } = await supabase
+        .from('venues')
+        .select('name')
+        .eq('id', venue_id)
+        .single();
+      
+      venue_name = venueData?.name || null;
+    }
+    
+    // Generate unique registration token for guest self-registration
+    const registration_token = crypto.randomBytes(6).toString('hex'); // 12-char token
+    
+    const { data, error } = await supabase
+      .from('events')
+      .insert([{
+        name,
+        date,
+        time_start,
+        time_end,
+        venue_name,
+        venue_id,
+        host_id,
+        host_name,
+        expected_guests,
+        description: description || null,
+        status: 'created',
+        color: 'purple',
+        registration_token,
+        phone_country
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({ success: true, event: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get all events (for venue dashboard)
+app.get('/api/events', requireAuth, async (req, res) => {
+  try {
+    let query = supabase
+      .from('events')
+      .select('*')
+      .in('status', ['created', 'completed'])
+      .order('date', { ascending: false });
+    
+    // Non-admins only see events they host or that run at their venue
+    if (req.user.role === 'venue') {
+      query = query.eq('venue_id', req.user.venue_id);
+    } else if (req.user.role !== 'admin') {
+      query = query.eq('host_id', req.user.id);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    
+    res.json({ events: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ UPDATED: Get events for host (excludes archived)
+app.get('/api/events/host/:hostId', requireAuth, async (req, res) => {
+  try {
+    const { hostId } = req.params;
+    
+    // CRITICAL VALIDATION: Prevent loading all events
+    if (!hostId || hostId === 'undefined' || hostId === 'null') {
+      console.log('Invalid host ID received:', hostId);
+      return res.json({ events: [] });
+    }
+    
+    if (!canActAsHost(req.user, hostId)) {
+      return sendForbidden(res, 'event:view');
+    }
+    
+    console.log('Loading events for host:', hostId);
+    
+    // Only return non-archived events
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('host_id', hostId)
+      .in('status', ['created', 'completed'])
+      .order('date', { ascending: false });
+    
+    if (error) throw error;
+    
+    console.log(`Found ${events?.length || 0} events for host ${hostId}`);
+    
+    // Get guest counts for each event
+    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
+      return { ...event, ...(await getEventHeadcount(event.id)) };
+    }));
+    
+    res.json({ events: eventsWithStats });
+  } catch (error) {
+    console.error('Error in getByHost:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ UPDATED: Get events for venue (includes 48hr cancelled events)
+app.get('/api/events/venue/:venueId', requireAuth, async (req, res) => {
+  try {
+    const { venueId } = req.params;
+    
+    // CRITICAL VALIDATION: Prevent loading all events
+    if (!venueId || venueId === 'undefined' || venueId === 'null') {
+      console.log('Invalid venue ID received:', venueId);
+      return res.json({ events: [] });
+    }
+    
+    if (!canActAsVenue(req.user, venueId)) {
+      return sendForbidden(res, 'event:view');
+    }
+    
+    console.log('Loading events for venue:', venueId);
+    
+    // Get non-archived events
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('venue_id', venueId)
+      .in('status', ['created', 'completed'])
+      .order('date', { ascending: false });
+    
+    if (error) throw error;
+    
+    // Also get recently cancelled events (cancelled before event, within 48hrs)
+    const fortyEightHoursAgo = new Date();
+    fortyEightHoursAgo.setHours(fortyEightHoursAgo.getHours() - 48);
+    
+    const { data: cancelledEvents } = await supabase
+      .from('events')
+      .select('*')
+      .eq('venue_id', venueId)
+      .eq('status', 'archived')
+      .eq('cancelled_before_event', true)
+      .gte('deleted_at', fortyEightHoursAgo.toISOString());
+    
+    // Combine both lists
+    const allEvents = [...(events || []), ...(cancelledEvents || [])];
+    
+    console.log(`Found ${allEvents.length} events for venue ${venueId} (${cancelledEvents?.length || 0} recently cancelled)`);
+    
+    // Get guest counts for each event
+    const eventsWithStats = await Promise.all(allEvents.map(async (event) => {
+      return { ...event, ...(await getEventHeadcount(event.id)) };
+    }));
+    
+    res.json({ events: eventsWithStats });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ NEW: Get archived events (Host)
+app.get('/api/events/host/:hostId/archived', requireAuth, async (req, res) => {
+  try {
+    const { hostId } = req.params;
+    if (!hostId || hostId === 'undefined') return res.json({ events: [] });
+    if (!canActAsHost(req.user, hostId)) return sendForbidden(res, 'event:view');
+    
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('host_id', hostId)
+      .eq('status', 'archived')
+      .order('deleted_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    // Add guest counts
+    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
+      return { ...event, ...(await getEventHeadcount(event.id)) };
+    }));
+    
+    res.json({ events: eventsWithStats });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ NEW: Get archived events (Venue)
+app.get('/api/events/venue/:venueId/archived', requireAuth, async (req, res) => {
+  try {
+    const { venueId } = req.params;
+    if (!venueId || venueId === 'undefined') return res.json({ events: [] });
+    if (!canActAsVenue(req.user, venueId)) return sendForbidden(res, 'event:view');
+    
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('venue_id', venueId)
+      .eq('status', 'archived')
+      .order('deleted_at', { ascending: false });
+    
+    if (error) throw error;
+    
+    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
+      return { ...event, ...(await getEventHeadcount(event.id)) };
+    }));
+    
+    res.json({ events: eventsWithStats });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ NEW: Get venue events by specific date
+app.get('/api/events/venue/:venueId/by-date/:date', requireAuth, async (req, res) => {
+  try {
+    const { venueId, date } = req.params;
+    if (!venueId || venueId === 'undefined') return res.json({ events: [] });
+    if (!canActAsVenue(req.user, venueId)) return sendForbidden(res, 'event:view');
+    
+    const { data: events, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('venue_id', venueId)
+      .eq('date', date)
+      .in('status', ['created', 'completed'])
+      .order('time_start', { ascending: true });
+    
+    if (error) throw error;
+    
+    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
+      return { ...event, ...(await getEventHeadcount(event.id)) };
+    }));
+    
+    res.json({ events: eventsWithStats });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// VENUE ROUTES
+// ============================================
+
+// Get all active venues
+app.get('/api/venues', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('venues')
+      .select('*')
+      .eq('status', 'active')
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    
+    res.json({ venues: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get venue by ID
+app.get('/api/venues/:id', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('venues')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({ venue: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Default country for guest phone numbers at this venue's events (null falls back to DEFAULT_PHONE_COUNTRY)
+app.patch('/api/venues/:id/phone-country', requireAuth, async (req, res) => {
+  try {
+    if (!canActAsVenue(req.user, req.params.id)) {
+      return sendForbidden(res, 'venue:edit');
+    }
+
+    const phoneCountry = req.body.phone_country ? normalizeCountryCode(req.body.phone_country) : null;
+    if (req.body.phone_country && !phoneCountry) {
+      return res.status(400).json({ error: 'phone_country must be a two-letter country code' });
+    }
+
+    const { data, error } = await supabase
+      .from('venues')
+      .update({ phone_country: phoneCountry })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, venue: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Request new venue
+app.post('/api/venues/request', async (req, res) => {
+  try {
+    const { 
+      venue_name, 
+      address, 
+      city, 
+      state, 
+      contact_name, 
+      contact_email, 
+      contact_phone,
+      requested_by_user_id,
+      requested_by_name,
+      requested_by_email
+    } = req.body;
+    
+    const { data, error } = await supabase
+      .from('venue_requests')
+      .insert([{
+        venue_name,
+        address,
+        city,
+        state,
+        contact_name,
+        contact_email,
+        contact_phone,
+        requested_by_user_id,
+        requested_by_name,
+        requested_by_email,
+        status: 'pending'
+      }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({ success: true, request: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// INVITE ROUTES (Admin Only)
+// ============================================
+
+// Create invite
+app.post('/api/invites/create', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { email, name, role, venue_id } = req.body;
+    const invited_by_user_id = req.user.id;
+    const invited_by_name = req.user.name;
+
+    // Generate secure token
+    const { data: tokenData } = await supabase.rpc('generate_invite_token');
+    const token = tokenData;
+
+    // Set expiry (48 hours from now)
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + 48);
+
+    // Create invite
+    const { data, error } = await supabase
+      .from('invites')
+      .insert([{
+        token,
+        email,
+        name,
+        role,
+        venue_id,
+        invited_by_user_id,
+        invited_by_name,
+        expires_at: expiresAt.toISOString(),
+        status: 'pending'
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await supabase.from('admin_logs').insert({
+      admin_id: req.user.id,
+      action: 'INVITE_CREATED',
+      target_type: 'invite',
+      target_id: data.id.toString(),
+      details: { email, name, role, venue_id }
+    });
+
+    // Generate invite URL
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${token}`;
+
+    // Send invite email
+    if (process.env.SENDGRID_API_KEY) {
+      const emailHTML = getInviteEmailHTML(name, inviteUrl, role, venue_id);
+      await sendEmail(
+        email,
+        `You're invited to Event Check-In Pro`,
+        emailHTML
+      );
+    }
+
+    res.json({ 
+      success: true, 
+      invite: data,
+      inviteUrl 
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get all invites (admin only)
+app.get('/api/invites', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('pending_invites')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ invites: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Verify invite token
+app.get('/api/invites/verify/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const { data, error } = await supabase
+      .from('invites')
+      .select('*, venues(name, city)')
+      .eq('token', token)
+      .eq('status', 'pending')
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Invalid or expired invite' });
+    }
+
+    // Check if expired
+    if (new Date(data.expires_at) < new Date()) {
+      return res.status(400).json({ error: 'Invite has expired' });
+    }
+
+    res.json({ invite: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Accept invite and create account
+app.post('/api/invites/accept', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Verify invite
+    const { data: invite, error: inviteError } = await supabase
+      .from('invites')
+      .select('*')
+      .eq('token', token)
+      .eq('status', 'pending')
+      .single();
+
+    if (inviteError || !invite) {
+      return res.status(404).json({ error: 'Invalid or expired invite' });
+    }
+
+    // Check expiry
+    if (new Date(invite.expires_at) < new Date()) {
+      return res.status(400).json({ error: 'Invite has expired' });
+    }
+
+    // Create auth user
+    const { data: authData, error: authError } = await supabase.auth.signUp({
+      email: invite.email,
+      password: password
+    });
+
+    if (authError) throw authError;
+
+    // Fetch venue name if venue_id exists
+    let venue_name = null;
+    if (invite.venue_id) {
+      const { data: venueData } = await supabase
+        .from('venues')
+        .select('name')
+        .eq('id', invite.venue_id)
+        .single();
+      venue_name = venueData?.name;
+    }
+
+    // Create user in users table
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .insert([{
+        id: authData.user.id,
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        venue_id: invite.venue_id,
+        venue_name: venue_name,
+        status: 'active'
+      }])
+      .select()
+      .single();
+
+    if (userError) throw userError;
+
+    // Mark invite as accepted
+    await supabase
+      .from('invites')
+      .update({ 
+        status: 'accepted',
+        accepted_at: new Date().toISOString()
+      })
+      .eq('token', token);
+
+    res.json({ success: true, user: userData });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Revoke invite (admin only)
+app.post('/api/invites/revoke/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error } = await supabase
+      .from('invites')
+      .update({ status: 'revoked' })
+      .eq('id', id);
+
+    if (error) throw error;
+
+    await supabase.from('admin_logs').insert({
+      admin_id: req.user.id,
+      action: 'INVITE_REVOKED',
+      target_type: 'invite',
+      target_id: id
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// GUEST SELF-REGISTRATION (Public routes - no auth)
+// ============================================
+
+// Get event info for registration page (public)
+app.get('/api/events/register/:token', rateLimit('registration'), throttleFailedLookups, async (req, res) => {
+  try {
+    const registration = await findRegistrationByToken(req.params.token);
+    
+    if (!registration) {
+      await recordFailedLookup(req);
+      return res.status(404).json({ error: 'Invalid or expired registration link' });
+    }
+    
+    const { event, link } = registration;
+    const block = await getRegistrationBlock(event, link);
+    if (block) {
+      return sendRegistrationBlock(res, block);
+    }
+
+    // A full event still takes registrations onto its waitlist (or for approval)
+    const capacity = await getRegistrationCapacity(event);
+    
+    res.json({ 
+      event: {
+        name: event.name,
+        date: event.date,
+        time_start: event.time_start,
+        time_end: event.time_end,
+        venue_name: event.venue_name
+      },
+      form: event.registration_form || [],
+      registration: describeRegistrationWindow(event, capacity)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Guest self-registration (public)
+app.post('/api/events/register/:token', rateLimit('registration', (req) => req.params.token), throttleFailedLookups, async (req, res) => {
+  try {
+    const registration = await findRegistrationByToken(req.params.token);
+    
+    if (!registration) {
+      await recordFailedLookup(req);
+      return res.status(404).json({ error: 'Invalid or expired registration link' });
+    }
+    
+    const { event, link } = registration;
+    const { guest, confirmation } = await registerGuest(event, req.body, { link });
+    
+    res.json(describeRegistration(event, guest, confirmation));
+  } catch (error) {
+    sendRegistrationError(res, error);
+  }
+});
+
+// Update event description
+app.patch('/api/events/:eventId/description', requireAuth, authorizeEvent('event:edit', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { description } = req.body;
+
+    // Basic sanitization — strip script tags
+    const sanitized = (description || '').replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ description: sanitized || null })
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, event: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Default country for guest phone numbers typed without a country code (null falls back to the venue's)
+app.patch('/api/events/:eventId/phone-country', requireAuth, authorizeEvent('event:edit', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const phoneCountry = req.body.phone_country ? normalizeCountryCode(req.body.phone_country) : null;
+    if (req.body.phone_country && !phoneCountry) {
+      return res.status(400).json({ error: 'phone_country must be a two-letter country code' });
+    }
+
+    const { data, error } = await supabase
+      .from('events')
+      .update({ phone_country: phoneCountry })
+      .eq('id', req.event.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, event: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Define the extra questions on the registration form: { fields: [...] }
+app.put('/api/events/:eventId/registration-form', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { form, error: formError } = parseRegistrationForm(req.body.fields);
+    if (formError) {
+      return res.status(400).json({ error: formError });
+    }
+
+    const { data: event, error } = await supabase
+      .from('events')
+      .update({ registration_form: form })
+      .eq('id', req.event.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, form: event.registration_form || [] });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get registration link for an event (host only), with whether it's taking registrations
+app.get('/api/events/:eventId/registration-link', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const event = req.event;
+    
+    // If no token exists (older events), generate one
+    let token = event.registration_token;
+    if (!token) {
+      token = crypto.randomBytes(6).toString('hex');
+      await supabase
+        .from('events')
+        .update({ registration_token: token })
+        .eq('id', event.id);
+    }
+    
+    const block = await getRegistrationBlock(event);
+    
+    res.json({
+      token,
+      opens_at: event.registration_opens_at || null,
+      closes_at: event.registration_closes_at || null,
+      paused: !!event.registration_paused,
+      state: block ? block.reason : 'open'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a leaked registration token. The old link stops working immediately;
+// guests who already registered keep their own invite links.
+app.post('/api/events/:eventId/registration-link/rotate', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(6).toString('hex');
+
+    const { error } = await supabase
+      .from('events')
+      .update({ registration_token: token })
+      .eq('id', req.event.id);
+
+    if (error) throw error;
+
+    console.log(`🔄 Registration link rotated for event ${req.event.id}`);
+
+    res.json({ success: true, token });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// When registration opens and closes, and whether it's paused. Applies to the event's
+// own link and every tracked link: { registration_opens_at, registration_closes_at, registration_paused }
+app.patch('/api/events/:eventId/registration-window', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const updateData = {};
+
+    for (const field of ['registration_opens_at', 'registration_closes_at']) {
+      if (req.body[field] === undefined) continue;
+      if (!req.body[field]) {
+        updateData[field] = null;
+        continue;
+      }
+      const at = new Date(req.body[field]);
+      if (isNaN(at.getTime())) {
+        return res.status(400).json({ error: `${field} must be a date and time` });
+      }
+      updateData[field] = at.toISOString();
+    }
+
+    if (req.body.registration_paused !== undefined) {
+      updateData.registration_paused = req.body.registration_paused === true;
+    }
+
+    const opensAt = updateData.registration_opens_at !== undefined ? updateData.registration_opens_at : req.event.registration_opens_at;
+    const closesAt = updateData.registration_closes_at !== undefined ? updateData.registration_closes_at : req.event.registration_closes_at;
+    if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+      return res.status(400).json({ error: 'Registration must close after it opens' });
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const { data: event, error } = await supabase
+      .from('events')
+      .update(updateData)
+      .eq('id', req.event.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const block = await getRegistrationBlock(event);
+
+    res.json({
+      success: true,
+      opens_at: event.registration_opens_at || null,
+      closes_at: event.registration_closes_at || null,
+      paused: !!event.registration_paused,
+      state: block ? block.reason : 'open'
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cap / expiry / category fields shared by creating and editing a tracked link. Returns
+// { fields } with the ones present in the body, or { error }.
+async function parseRegistrationLinkFields(eventId, body) {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Link name is required' };
+    if (name.length > 100) return { error: 'Link name is too long' };
+    fields.name = name;
+  }
+
+  if (body.cap !== undefined) {
+    if (body.cap === null || body.cap === '') {
+      fields.cap = null;
+    } else {
+      const cap = parseInt(body.cap, 10);
+      if (!Number.isInteger(cap) || cap < 1) return { error: 'cap must be a positive whole number, or null for no limit' };
+      fields.cap = cap;
+    }
+  }
+
+  if (body.expires_at !== undefined) {
+    if (!body.expires_at) {
+      fields.expires_at = null;
+    } else {
+      const expiresAt = new Date(body.expires_at);
+      if (isNaN(expiresAt.getTime())) return { error: 'expires_at must be a date and time' };
+      fields.expires_at = expiresAt.toISOString();
+    }
+  }
+
+  if (body.default_category !== undefined) {
+    if (!body.default_category) {
+      fields.default_category = null;
+    } else {
+      const categories = await getEventCategories(eventId);
+      const category = findCategory(categories, body.default_category);
+      if (categories.length > 0 && !category) {
+        return { error: `Unknown category "${body.default_category}". Choose one of: ${categories.map(c => c.name).join(', ')}` };
+      }
+      fields.default_category = category ? category.name : String(body.default_category).trim();
+    }
+  }
+
+  if (body.enabled !== undefined) {
+    fields.enabled = body.enabled !== false;
+  }
+
+  return { fields };
+}
+
+async function findEventRegistrationLink(eventId, linkId) {
+  const { data } = await supabase
+    .from('registration_links')
+    .select('*')
+    .eq('id', linkId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  return data;
+}
+
+// Tracked links with how many people registered through each
+app.get('/api/events/:eventId/registration-links', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { data: links, error } = await supabase
+      .from('registration_links')
+      .select('*')
+      .eq('event_id', req.event.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const sources = await getRegistrationSourceStats(req.event.id, links || []);
+
+    res.json({
+      links: (links || []).map(link => ({
+        ...link,
+        stats: sources.find(s => s.link_id === link.id)
+      })),
+      sources
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// New named link: { name, cap?, expires_at?, default_category?, enabled? }
+app.post('/api/events/:eventId/registration-links', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    if (req.body.name === undefined) {
+      return res.status(400).json({ error: 'Link name is required' });
+    }
+
+    const { fields, error: fieldsError } = await parseRegistrationLinkFields(req.event.id, req.body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    const { data: link, error } = await supabase
+      .from('registration_links')
+      .insert([{
+        enabled: true,
+        ...fields,
+        event_id: req.event.id,
+        token: crypto.randomBytes(6).toString('hex'),
+        created_by: req.user.id
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔗 Registration link "${link.name}" created for event ${req.event.id}`);
+
+    res.json({ success: true, link });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Edit a link, including switching it off ({ enabled: false }) and back on
+app.patch('/api/events/:eventId/registration-links/:linkId', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const existing = await findEventRegistrationLink(req.event.id, req.params.linkId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Registration link not found' });
+    }
+
+    const { fields, error: fieldsError } = await parseRegistrationLinkFields(req.event.id, req.body);
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.json({ success: true, link: existing });
+    }
+
+    const { data: link, error } = await supabase
+      .from('registration_links')
+      .update(fields)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, link });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// New token for a tracked link; the old URL stops working, attribution is kept
+app.post('/api/events/:eventId/registration-links/:linkId/rotate', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const existing = await findEventRegistrationLink(req.event.id, req.params.linkId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Registration link not found' });
+    }
+
+    const { data: link, error } = await supabase
+      .from('registration_links')
+      .update({ token: crypto.randomBytes(6).toString('hex') })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`🔄 Registration link "${link.name}" rotated for event ${req.event.id}`);
+
+    res.json({ success: true, link });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Links that brought in registrants are kept for attribution — switch them off instead
+app.delete('/api/events/:eventId/registration-links/:linkId', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const existing = await findEventRegistrationLink(req.event.id, req.params.linkId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Registration link not found' });
+    }
+
+    const { count, error: countError } = await supabase
+      .from('guests')
+      .select('id', { count: 'exact', head: true })
+      .eq('registration_link_id', existing.id);
+
+    if (countError) throw countError;
+
+    if (count > 0) {
+      return res.status(400).json({
+        error: `${count} guest${count === 1 ? '' : 's'} registered through this link. Turn it off instead of deleting it.`
+      });
+    }
+
+    const { error } = await supabase
+      .from('registration_links')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Set or clear the event's registration cap (people, including plus-ones).
+// Raising it promotes waitlisted guests into the new spots.
+app.patch('/api/events/:eventId/capacity', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { registration_cap } = req.body;
+
+    let cap = null;
+    if (registration_cap !== null && registration_cap !== undefined && registration_cap !== '') {
+      cap = parseInt(registration_cap, 10);
+      if (!Number.isInteger(cap) || cap < 1) {
+        return res.status(400).json({ error: 'registration_cap must be a positive whole number, or null for no limit' });
+      }
+    }
+
+    const { data: event, error } = await supabase
+      .from('events')
+      .update({ registration_cap: cap })
+      .eq('id', req.event.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const promoted = await promoteFromWaitlist(event.id);
+
+    res.json({
+      success: true,
+      event,
+      capacity: await getRegistrationCapacity(event),
+      promoted: promoted.map(g => ({ id: g.id, name: g.name }))
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Waitlist in promotion order
+app.get('/api/events/:eventId/waitlist', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { data: guests, error } = await supabase
+      .from('guests')
+      .select('id, name, email, phone, category, plus_ones, waitlist_position, created_at')
+      .eq('event_id', req.event.id)
+      .eq('registration_status', 'waitlisted')
+      .order('waitlist_position', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      waitlist: guests || [],
+      capacity: await getRegistrationCapacity(req.event)
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reorder the waitlist. Send every waitlisted guest id in the new order: { guest_ids: [...] }
+app.put('/api/events/:eventId/waitlist', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { guest_ids } = req.body;
+
+    if (!Array.isArray(guest_ids)) {
+      return res.status(400).json({ error: 'guest_ids must be a list' });
+    }
+
+    const { data: waitlisted, error } = await supabase
+      .from('guests')
+      .select('id')
+      .eq('event_id', req.event.id)
+      .eq('registration_status', 'waitlisted');
+
+    if (error) throw error;
+
+    const current = new Set((waitlisted || []).map(g => String(g.id)));
+    const ordered = guest_ids.map(String);
+
+    if (ordered.length !== current.size || new Set(ordered).size !== ordered.length || ordered.some(id => !current.has(id))) {
+      return res.status(400).json({ error: 'guest_ids must list every waitlisted guest exactly once' });
+    }
+
+    for (let i = 0; i < ordered.length; i++) {
+      const { error: updateError } = await supabase
+        .from('guests')
+        .update({ waitlist_position: i + 1 })
+        .eq('id', ordered[i])
+        .eq('registration_status', 'waitlisted');
+
+      if (updateError) throw updateError;
+    }
+
+    console.log(`🔀 Waitlist reordered for event ${req.event.id} by ${req.user.name}`);
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Switch self-registration between 'open' (auto-approved) and 'approval' (host reviews each one)
+app.patch('/api/events/:eventId/registration-mode', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    if (!['open', 'approval'].includes(mode)) {
+      return res.status(400).json({ error: "mode must be 'open' or 'approval'" });
+    }
+
+    const { data: event, error } = await supabase
+      .from('events')
+      .update({ registration_mode: mode })
+      .eq('id', req.event.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Event-wide limit on the plus-ones guests may choose when they RSVP ({ max_plus_ones }, null clears it)
+app.patch('/api/events/:eventId/rsvp-settings', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { max_plus_ones } = req.body;
+
+    let limit = null;
+    if (max_plus_ones !== null && max_plus_ones !== undefined && max_plus_ones !== '') {
+      limit = parseInt(max_plus_ones, 10);
+      if (!Number.isInteger(limit) || limit < 0) {
+        return res.status(400).json({ error: 'max_plus_ones must be zero or a positive whole number' });
+      }
+    }
+
+    const { data: event, error } = await supabase
+      .from('events')
+      .update({ max_plus_ones: limit })
+      .eq('id', req.event.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Moderation queue: registrations waiting for the host, oldest first
+app.get('/api/events/:eventId/registrations/pending', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { data: guests, error } = await supabase
+      .from('guests')
+      .select('id, name, email, phone, category, plus_ones, created_at')
+      .eq('event_id', req.event.id)
+      .eq('registration_status', 'pending')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ pending: guests || [] });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Load the pending registrations named in guest_ids; anything else is reported as skipped
+async function loadPendingRegistrations(eventId, guestIds) {
+  const { data: guests, error } = await supabase
+    .from('guests')
+    .select('*')
+    .eq('event_id', eventId)
+    .in('id', guestIds);
+
+  if (error) throw error;
+
+  const skipped = [];
+  const pending = [];
+  for (const id of guestIds) {
+    const guest = (guests || []).find(g => String(g.id) === String(id));
+    if (!guest) skipped.push({ id, reason: 'not_found' });
+    else if (guest.registration_status !== 'pending') skipped.push({ id, reason: `already_${guest.registration_status || 'confirmed'}` });
+    else pending.push(guest);
+  }
+
+  return { pending, skipped };
 }
 
-function getInvitationEmailHTML(guest, event, qrCodeURL) {
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
-    <tr>
-      <td align="center">
-        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
-          <tr>
-            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
-              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">You're Invited!</h1>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px 30px;">
-              <p style="font-size: 16px; color: #333;">Hi <strong>${guest.name}</strong>,</p>
-              <p style="font-size: 16px; color: #333;">You're invited to:</p>
-              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
-                <h2 style="margin: 0 0 15px 0; color: #333;">${event.name}</h2>
-                <p style="margin: 5px 0; color: #666;">📅 ${event.date}</p>
-                <p style="margin: 5px 0; color: #666;">🕐 ${event.time_start} - ${event.time_end}</p>
-                <p style="margin: 5px 0; color: #666;">📍 ${event.venue_name}</p>
-              </div>
-              <div style="text-align: center; margin: 30px 0;">
-                <img src="${qrCodeURL}" alt="QR Code" style="width: 250px; height: 250px; border: 3px solid #667eea; border-radius: 8px;" />
-                <p style="font-size: 14px; color: #666; margin-top: 15px;">Show this QR code at the entrance</p>
-              </div>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `;
-}
+// Approve one or more registrations: { guest_ids: [...] }
+app.post('/api/events/:eventId/registrations/approve', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { guest_ids } = req.body;
+
+    if (!Array.isArray(guest_ids) || guest_ids.length === 0) {
+      return res.status(400).json({ error: 'guest_ids must be a non-empty list' });
+    }
+
+    const { pending, skipped } = await loadPendingRegistrations(req.event.id, guest_ids);
+    const approved = [];
+
+    for (const guest of pending) {
+      const updated = await approveRegistration(req.event, guest, req.user);
+      if (!updated) {
+        skipped.push({ id: guest.id, reason: 'already_reviewed' });
+        continue;
+      }
+      approved.push({ id: updated.id, name: updated.name, registration_status: updated.registration_status, waitlist_position: updated.waitlist_position || null });
+      publishLiveUpdate(req.event.id, 'guest_updated', updated);
+    }
+
+    console.log(`✅ ${req.user.name} approved ${approved.length} registration(s) for event ${req.event.id}`);
+
+    res.json({ success: true, approved, skipped });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Decline one or more registrations: { guest_ids: [...], note? } — note is included in the email
+app.post('/api/events/:eventId/registrations/decline', requireAuth, authorizeEvent('registration:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { guest_ids } = req.body;
+    const note = typeof req.body.note === 'string'
+      ? req.body.note.trim().slice(0, 500)
+      : '';
+
+    if (!Array.isArray(guest_ids) || guest_ids.length === 0) {
+      return res.status(400).json({ error: 'guest_ids must be a non-empty list' });
+    }
+
+    const { pending, skipped } = await loadPendingRegistrations(req.event.id, guest_ids);
+    const declined = [];
+
+    for (const guest of pending) {
+      const updated = await declineRegistration(req.event, guest, req.user, note);
+      if (!updated) {
+        skipped.push({ id: guest.id, reason: 'already_reviewed' });
+        continue;
+      }
+      declined.push({ id: updated.id, name: updated.name });
+      publishLiveUpdate(req.event.id, 'guest_updated', updated);
+    }
+
+    console.log(`🚫 ${req.user.name} declined ${declined.length} registration(s) for event ${req.event.id}`);
+
+    res.json({ success: true, declined, skipped });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Public keys scanners use to verify signed check-in passes offline
+app.get('/api/events/:eventId/checkin-keys', requireUserOrScanner, authorizeEvent('guest:checkin', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+
+    // Make sure there's always a key to sign with before scanners sync
+    await getActiveSigningKey(eventId);
+    const keys = await getEventSigningKeys(eventId, { fresh: true });
+
+    res.json({
+      event_id: eventId,
+      keys: keys.filter(k => k.status !== 'revoked').map(publicSigningKey),
+      revoked_key_ids: keys.filter(k => k.status === 'revoked').map(k => k.key_id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rotate the event's signing key. Passes signed with the old key keep working
+// unless revoke_previous is set, in which case every guest gets a new pass.
+app.post('/api/events/:eventId/checkin-keys/rotate', requireAuth, authorizeEvent('event:edit', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const revokePrevious = req.body.revoke_previous === true;
 
-function getInviteEmailHTML(name, inviteUrl, role, venueId) {
-  const roleText = role === 'venue' ? 'Venue Staff' : role === 'admin' ? 'Administrator' : 'Event Host';
-  
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
-    <tr>
-      <td align="center">
-        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px;">
-          <tr>
-            <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
-              <h1 style="color: #ffffff; margin: 0; font-size: 28px;">🎉 You're Invited!</h1>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding: 40px 30px;">
-              <p style="font-size: 16px; color: #333;">Hi <strong>${name}</strong>,</p>
-              <p style="font-size: 16px; color: #333;">
-                You've been invited to join <strong>Event Check-In Pro</strong> as a <strong>${roleText}</strong>.
-              </p>
-              <div style="background-color: #f8f9fa; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0;">
-                <p style="margin: 0; color: #666; font-size: 14px;">
-                  Event Check-In Pro is a modern guest list management and check-in system that makes event management effortless.
-                </p>
-              </div>
-              <div style="text-align: center; margin: 30px 0;">
-                <a href="${inviteUrl}" style="display: inline-block; padding: 16px 40px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                  Accept Invitation
-                </a>
-              </div>
-              <p style="font-size: 14px; color: #666; margin-top: 30px;">
-                This invitation will expire in <strong>48 hours</strong>.
-              </p>
-              <p style="font-size: 12px; color: #999; margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee;">
-                If you didn't expect this invitation, you can safely ignore this email.
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-  `;
-}
+    const { key, reissued } = await rotateEventSigningKey(eventId, { revokePrevious });
 
-// ============================================
-// API ROUTES
-// ============================================
+    console.log(`🔄 Rotated signing key for event ${eventId} (revoked previous: ${revokePrevious}, reissued: ${reissued})`);
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date(),
-    supabase: SUPABASE_URL ? 'configured' : 'missing',
-    supabase_admin: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'configured' : 'missing',
-    sendgrid: SENDGRID_API_KEY ? 'configured' : 'missing',
-    msg91: process.env.MSG91_AUTH_KEY ? 'configured' : 'missing',
-    msg91_template: process.env.MSG91_TEMPLATE_ID ? 'configured' : 'missing'
-  });
+    res.json({
+      success: true,
+      key: publicSigningKey(key),
+      revoked_previous: revokePrevious,
+      reissued_passes: reissued
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // ============================================
-// AUTH ROUTES - UPDATED WITH HOST APPROVAL + FORGOT PASSWORD!
+// GUEST ROUTES
 // ============================================
 
-app.post('/api/auth/signup', async (req, res) => {
+app.post('/api/guests', requireAuth, authorizeEvent((req) => req.body.is_walkin ? 'guest:walkin' : 'guest:create', eventFromBody('event_id')), async (req, res) => {
   try {
-    const { email, password, name, phone, role, venue_id } = req.body;
+    const { event_id, name, email, phone, category, plus_ones, is_walkin } = req.body;
     
-    // Validation for venue users
-    if (role === 'venue' && !venue_id) {
-      return res.status(400).json({ error: 'Venue users must select a venue' });
+    console.log('Creating guest:', { name, email, phone });
+
+    let cleanPhone = '';
+    if (phone) {
+      cleanPhone = normalizePhone(phone, await getPhoneCountry(req.event));
+      if (!cleanPhone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
     }
-    
-    const { data: authData, error: authError } = await supabase.auth.signUp({
-      email,
-      password
-    });
-    
-    if (authError) throw authError;
-    
-    // Fetch venue name if venue_id provided
-    let venue_name = null;
-    if (venue_id && role === 'venue') {
-      const { data: venueData } = await supabase
-        .from('venues')
-        .select('name')
-        .eq('id', venue_id)
-        .single();
-      
-      venue_name = venueData?.name || null;
+
+    const resolvedCategory = await resolveGuestCategory(event_id, category);
+    if (resolvedCategory.error) {
+      return res.status(400).json({ error: resolvedCategory.error });
     }
-    
-    // ✅ Hosts auto-approved, venue staff still needs admin approval
-    const status = (role === 'venue') ? 'pending' : 'active';
-    
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .insert([{
-        id: authData.user.id,
-        email,
+
+    // Generate invite token for email invitations
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+
+    // ✅ Signed check-in pass, signed before the row exists (frontend generates the QR from it)
+    const pass = await presignCheckInToken(event_id);
+
+    // Create guest - NO qr_code image stored (frontend generates QR from token)
+    const { data, error } = await supabase
+      .from('guests')
+      .insert([withSyncStamp({
+        ...pass,
+        event_id,
         name,
-        phone,
-        role,
-        venue_id: role === 'venue' ? venue_id : null,
-        venue_name: role === 'venue' ? venue_name : null,
-        status: status
-      }])
+        email: email || '',
+        phone: cleanPhone,
+        category: resolvedCategory.name,
+        plus_ones: plus_ones || 0,
+        is_walkin: is_walkin || false,
+        invite_token: inviteToken,
+        checked_in: false
+      })])
       .select()
       .single();
     
-    if (userError) throw userError;
+    if (error) throw error;
+
+    console.log('✅ Guest created with signed check-in token:', data.id);
+    publishLiveUpdate(data.event_id, data.is_walkin ? 'walkin' : 'guest_added', data);
+    res.json({ success: true, guest: data });
     
-    // ✅ CHANGED: Only venue users get pending approval email
-    if (role === 'venue' && process.env.SENDGRID_API_KEY) {
-      const accountType = 'Venue Manager';
-      
-      const emailHTML = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .info-box { background: white; border-left: 4px solid #667eea; padding: 15px; margin: 20px 0; }
-            .status { display: inline-block; padding: 8px 16px; background: #ffa500; color: white; border-radius: 20px; font-weight: bold; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>⏳ Account Pending Approval</h1>
-            </div>
-            <div class="content">
-              <p>Hi <strong>${name}</strong>,</p>
-              <p>Thank you for registering with Event Check-In Pro!</p>
-              
-              <div class="info-box">
-                <p><strong>Account Type:</strong> ${accountType}</p>
-                ${role === 'venue' ? `<p><strong>Venue:</strong> ${venue_name}</p>` : ''}
-                <p><strong>Status:</strong> <span class="status">Pending Approval</span></p>
-              </div>
-              
-              <p>Your account has been created and is currently pending admin approval. This is a security measure to ensure the quality of our platform.</p>
-              
-              <p><strong>What happens next?</strong></p>
-              <ul>
-                <li>Our admin team will review your account</li>
-                <li>You'll receive an email notification once approved (usually within 24-48 hours)</li>
-                <li>After approval, you can login and start managing events</li>
-              </ul>
-              
-              <p>If you have any questions, please contact our support team.</p>
-              
-              <p>Thank you for your patience!<br>
-              <strong>Event Check-In Pro Team</strong></p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-      
-      await sendEmail(
-        email,
-        'Account Pending Approval - Event Check-In Pro',
-        emailHTML
-      );
-    }
+  } catch (error) {
+    console.error('❌ Error creating guest:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ✅ Mask phone/email for venue users (except walk-in guests they added).
+// Used by the guest list and the live feed so both apply the same rules.
+function maskGuestForViewer(guest, viewerRole) {
+  const displayed = { ...guest, phone_display: formatPhoneForDisplay(guest.phone) };
+  
+  if (viewerRole !== 'venue') return displayed;
+  
+  // Walk-in guests added by venue — show full details
+  if (guest.is_walkin) return displayed;
+  
+  // Mask phone: +919876543210 → +919***210
+  let maskedPhone = guest.phone;
+  if (guest.phone && guest.phone.length >= 6) {
+    maskedPhone = guest.phone.substring(0, 4) + '***' + guest.phone.slice(-3);
+  }
+  
+  // Mask email: john.doe@gmail.com → j***@gmail.com
+  let maskedEmail = guest.email;
+  if (guest.email && guest.email.includes('@')) {
+    const [local, domain] = guest.email.split('@');
+    maskedEmail = local[0] + '***@' + domain;
+  }
+  
+  // Registration answers are between the guest and the host
+  const { form_answers, ...rest } = guest;
+  
+  return {
+    ...rest,
+    phone: maskedPhone,
+    phone_display: maskedPhone,
+    email: maskedEmail,
+    _masked: true  // flag so frontend knows data is masked
+  };
+}
+
+app.get('/api/guests/event/:eventId', requireAuth, authorizeEvent('guest:view', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('guests')
+      .select('*')
+      .eq('event_id', req.params.eventId)
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
     
-    res.json({ 
-      success: true, 
-      user: userData,
-      message: role === 'venue' 
-        ? 'Account created! Pending admin approval. Check your email for details.' 
-        : 'Account created successfully!'
-    });
+    const guests = data.map(guest => maskGuestForViewer(guest, req.eventRole));
+    
+    // Hosts also get the form so form_answers can be shown under the right labels
+    const form = req.eventRole === 'host' ? req.event.registration_form || [] : undefined;
+    
+    res.json({ guests, form });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// ✅ UPDATED: Login now checks if user is approved
-app.post('/api/auth/login', async (req, res) => {
+// Quote a CSV cell. Cells that a spreadsheet would run as a formula get a leading quote,
+// phone numbers like +91 98765 43210 are left alone.
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join('; ') : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s()-]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Guest list with registration answers as CSV, one column per form field
+app.get('/api/events/:eventId/guests/export', requireAuth, authorizeEvent('guest:export', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { email, password } = req.body;
-    
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password
+    // Paged so big guest lists aren't cut off at 1000 rows
+    const guests = await fetchAllRows(() => supabase
+      .from('guests')
+      .select('*')
+      .eq('event_id', req.event.id)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
+
+    const form = req.event.registration_form || [];
+    const columns = [
+      ['Name', g => g.name],
+      ['Phone', g => formatPhoneForDisplay(g.phone)],
+      ['Email', g => g.email],
+      ['Category', g => g.category],
+      ['Plus-ones', g => g.plus_ones || 0],
+      ['Registration', g => g.registration_status || 'confirmed'],
+      ['RSVP', g => g.rsvp_status],
+      ['Checked in', g => (g.checked_in ? 'yes' : 'no')],
+      ['Checked in at', g => g.checked_in_at],
+      ...form.map(field => [field.label, g => {
+        const answer = (g.form_answers || {})[field.key];
+        return field.type === 'checkbox' && answer !== undefined ? (answer ? 'yes' : 'no') : answer;
+      }])
+    ];
+
+    const lines = [
+      columns.map(([header]) => toCsvCell(header)).join(','),
+      ...guests.map(guest => columns.map(([, value]) => toCsvCell(value(guest))).join(','))
+    ];
+
+    const filename = `${(req.event.name || 'guests').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-guests.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
     });
+    res.send(lines.join('\r\n'));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/guests/:guestId/checkin', requireAuth, authorizeEvent('guest:checkin', eventFromGuestParam('guestId')), async (req, res) => {
+  try {
+    const { scanner_name } = req.body;
     
-    if (error) throw error;
-    
-    const { data: userData } = await supabase
-      .from('users')
-      .select('*')
-      .eq('id', data.user.id)
-      .single();
+    const partyRequest = parsePartyRequest(req.body);
+    if (partyRequest.error) {
+      return res.status(400).json({ error: partyRequest.error });
+    }
     
-    // ✅ CHANGED: Check if account is approved
-    if (userData && userData.status === 'pending') {
-      return res.status(403).json({ 
-        error: 'Account pending approval',
-        message: 'Your account is awaiting admin approval. You will receive an email once approved.',
-        status: 'pending'
+    const block = getCheckInBlock(req.event);
+    if (block) {
+      await recordCheckInAttempt(req, {
+        eventId: req.event.id,
+        guestId: req.guest.id,
+        result: 'event_not_open',
+        details: { reason: block.reason, method: 'manual' }
       });
+      return res.status(409).json({ success: false, result: 'event_not_open', error: block.message, ...block });
     }
     
-    if (userData && userData.status === 'rejected') {
-      return res.status(403).json({ 
-        error: 'Account rejected',
-        message: 'Your account registration was not approved. Please contact support for more information.',
-        status: 'rejected'
+    const guestBlock = getGuestAdmissionBlock(req.guest);
+    if (guestBlock) {
+      await recordCheckInAttempt(req, {
+        eventId: req.event.id,
+        guestId: req.guest.id,
+        result: 'not_confirmed',
+        details: { reason: guestBlock.reason, method: 'manual' }
       });
+      return res.status(409).json({ success: false, result: 'not_confirmed', error: guestBlock.message, reason: guestBlock.reason });
     }
     
-    res.json({ 
-      success: true, 
-      user: userData,
-      session: data.session 
+    const partyCheckIn = await checkInParty(req.guest, req.event, partyRequest, {
+      checkedInBy: scanner_name || 'Scanner 1'
     });
+    if (partyCheckIn.error) {
+      return res.status(409).json({ success: false, error: partyCheckIn.error });
+    }
+    
+    const { outcome, admitted, party } = partyCheckIn;
+    
+    await recordCheckInAttempt(req, {
+      eventId: req.event.id,
+      guestId: req.guest.id,
+      result: outcome.result,
+      details: { method: 'manual', companions_admitted: admitted.length || undefined }
+    });
+    
+    if (outcome.result !== 'already_checked_in') {
+      publishLiveUpdate(req.event.id, 'checkin', outcome.guest, { result: outcome.result, party });
+    }
+    
+    // One wristband per person who just came through the door
+    const categories = await getEventCategories(req.event.id);
+    const people = (outcome.result === 'checked_in' ? 1 : 0) + admitted.length;
+    const wristband = people > 0
+      ? await issueWristband(req.event, outcome.guest, categories, people)
+      : getWristbandForGuest(req.event, categories, outcome.guest);
+    
+    res.json({ ...describeCheckIn(outcome), party, admitted_companions: admitted, wristband });
   } catch (error) {
-    res.status(401).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// ============================================
-// 🔐 FORGOT PASSWORD ENDPOINTS - NEW!
-// ============================================
-
-// Forgot password - send reset link
-app.post('/api/auth/forgot-password', async (req, res) => {
+// ✅ NEW: Token-based check-in (from QR code scan)
+app.post('/api/checkin/token', requireUserOrScanner, rateLimit('checkin', (req) => req.body.token), throttleFailedLookups, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { token, scanner_name } = req.body;
+    // Paired devices always scan for the event (and zone) they were assigned to
+    const event_id = req.body.event_id || req.scanner?.event_id;
+    const zone_id = req.scanner?.zone_id || req.body.zone_id;
     
-    console.log('🔐 Forgot password request for:', email);
+    console.log('📱 Token check-in attempt:', token, 'for event:', event_id);
     
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
+    // Validate token
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Invalid token format' });
     }
 
-    // Check if user exists
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, name, email')
-      .eq('email', email)
-      .single();
+    if (!event_id) {
+      return res.status(400).json({ error: 'event_id is required' });
+    }
 
-    // Always return success even if user doesn't exist (security best practice)
-    if (userError || !user) {
-      console.log('User not found, but returning success for security');
-      return res.json({ 
-        success: true, 
-        message: 'If an account exists with that email, a password reset link has been sent.' 
+    // The event this scanner is admitting people to
+    const event = await findEventById(event_id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!canRequest(req, 'guest:checkin', event)) {
+      return sendForbidden(res, 'guest:checkin');
+    }
+
+    const block = getCheckInBlock(event);
+    if (block) {
+      await recordCheckInAttempt(req, {
+        eventId: event.id,
+        result: 'event_not_open',
+        details: { reason: block.reason, method: 'qr' }
+      });
+      return res.status(409).json({
+        success: false,
+        result: 'event_not_open',
+        error: block.message,
+        ...block
       });
     }
 
-    // Generate reset token (valid for 1 hour)
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    const resetExpiry = new Date(Date.now() + 3600000); // 1 hour from now
+    const zone = zone_id ? await findEventZone(event.id, zone_id) : null;
+    if (zone_id && !zone) {
+      return res.status(400).json({ error: 'Unknown zone for this event' });
+    }
 
-    // Store reset token in database
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ 
-        reset_token: resetToken,
-        reset_token_expiry: resetExpiry.toISOString()
-      })
-      .eq('id', user.id);
+    // Accepts both signed GC2 passes and legacy GC-XXXXXXXX tokens
+    const { guest, reason } = await findGuestByCheckInToken(token, event.id);
 
-    if (updateError) {
-      console.error('Error storing reset token:', updateError);
-      throw updateError;
+    if (!guest) {
+      console.log('❌ Guest not found for token:', token, `(${reason})`);
+      await recordFailedLookup(req);
+      await recordCheckInAttempt(req, {
+        eventId: event.id,
+        result: 'invalid',
+        details: { reason, token_prefix: token.trim().slice(0, 12), method: 'qr' }
+      });
+      return res.status(404).json({ 
+        success: false,
+        result: 'invalid',
+        error: 'Invalid QR code. Guest not found.',
+        reason
+      });
     }
 
-    // Create reset link
-    const resetLink = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    console.log('✅ Guest found:', guest.name, '(ID:', guest.id, ')');
 
-    // Send email with SendGrid
-    if (SENDGRID_API_KEY) {
-      const emailHTML = `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
-            <h1 style="color: white; margin: 0;">Event Check-In Pro</h1>
-          </div>
-          
-          <div style="padding: 40px 20px; background: #f9fafb;">
-            <h2 style="color: #1f2937; margin-top: 0;">Password Reset Request</h2>
-            
-            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
-              Hi ${user.name},
-            </p>
-            
-            <p style="color: #4b5563; font-size: 16px; line-height: 1.6;">
-              We received a request to reset your password for your Event Check-In Pro account.
-            </p>
-            
-            <div style="text-align: center; margin: 30px 0;">
-              <a href="${resetLink}" 
-                 style="display: inline-block; padding: 14px 32px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">
-                Reset Password
-              </a>
-            </div>
-            
-            <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
-              This link will expire in 1 hour for security reasons.
-            </p>
-            
-            <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
-              If you didn't request this password reset, you can safely ignore this email. Your password will remain unchanged.
-            </p>
-            
-            <hr style="border: none; border-top: 1px solid #e5e7eb; margin: 30px 0;">
-            
-            <p style="color: #9ca3af; font-size: 12px;">
-              If the button doesn't work, copy and paste this link into your browser:<br>
-              <a href="${resetLink}" style="color: #667eea; word-break: break-all;">${resetLink}</a>
-            </p>
-          </div>
-          
-          <div style="padding: 20px; text-align: center; background: #1f2937; color: #9ca3af; font-size: 12px;">
-            <p>© ${new Date().getFullYear()} Event Check-In Pro. All rights reserved.</p>
-          </div>
-        </div>
-      `;
+    // Valid pass, but for a different event
+    if (String(guest.event_id) !== String(event.id)) {
+      const passEvent = await findEventById(guest.event_id);
+      console.log('⛔ Wrong event:', guest.name, 'belongs to', passEvent?.name || guest.event_id);
+      await recordCheckInAttempt(req, {
+        eventId: event.id,
+        guestId: guest.id,
+        result: 'wrong_event',
+        details: { pass_event_id: guest.event_id, method: 'qr' }
+      });
+      return res.status(409).json({
+        success: false,
+        result: 'wrong_event',
+        error: passEvent
+          ? `This pass is for "${passEvent.name}", not this event`
+          : 'This pass is for a different event',
+        pass_event: passEvent
+          ? { id: passEvent.id, name: passEvent.name, date: passEvent.date, venue_name: passEvent.venue_name }
+          : null
+      });
+    }
 
-      await sendEmail(
-        user.email,
-        'Password Reset Request - Event Check-In Pro',
-        emailHTML
-      );
-      
-      console.log('✅ Password reset email sent to:', user.email);
+    const guestBlock = getGuestAdmissionBlock(guest);
+    if (guestBlock) {
+      console.log('⛔ Not confirmed:', guest.name, `(${guestBlock.reason})`);
+      await recordCheckInAttempt(req, {
+        eventId: event.id,
+        guestId: guest.id,
+        result: 'not_confirmed',
+        details: { reason: guestBlock.reason, method: 'qr' }
+      });
+      return res.status(409).json({
+        success: false,
+        result: 'not_confirmed',
+        error: guestBlock.message,
+        reason: guestBlock.reason
+      });
     }
 
-    res.json({ 
-      success: true, 
-      message: 'Password reset link has been sent to your email.' 
-    });
+    const zoneInfo = zone ? { id: zone.id, name: zone.name } : null;
+
+    // Refused at this door: not checked in, just logged
+    if (zone && !isCategoryAllowedInZone(zone, guest.category)) {
+      console.log('⛔ Zone denied:', guest.name, `(${guest.category})`, 'at', zone.name);
+      await recordCheckInAttempt(req, {
+        eventId: event.id,
+        guestId: guest.id,
+        result: 'zone_denied',
+        zoneId: zone.id,
+        details: { category: guest.category, method: 'qr' }
+      });
+      return res.status(403).json({
+        success: false,
+        result: 'zone_denied',
+        error: zoneDeniedMessage(guest, zone),
+        guest: { id: guest.id, name: guest.name, category: guest.category },
+        zone: zoneInfo
+      });
+    }
 
-  } catch (error) {
-    console.error('Forgot password error:', error);
-    res.status(500).json({ 
-      error: 'Failed to process password reset request. Please try again.' 
-    });
-  }
-});
+    // Perform check-in (atomic: only one concurrent scan can win)
+    // Zone doors only check the pass holder's access; the party is admitted at the entrance
+    const partyRequest = zone ? PRIMARY_ONLY : parsePartyRequest(req.body);
+    if (partyRequest.error) {
+      return res.status(400).json({ error: partyRequest.error });
+    }
 
-// ✅ FIXED: Reset password with token (using admin client)
-app.post('/api/auth/reset-password', async (req, res) => {
-  try {
-    const { token, newPassword } = req.body;
-    
-    console.log('🔐 Reset password request with token');
-    
-    if (!token || !newPassword) {
-      return res.status(400).json({ error: 'Token and new password are required' });
+    const checkedInBy = req.scanner ? req.scanner.name : (scanner_name || 'QR Scanner');
+    const partyCheckIn = await checkInParty(guest, event, partyRequest, { checkedInBy });
+    if (partyCheckIn.error) {
+      return res.status(409).json({ success: false, error: partyCheckIn.error });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    const { admitted, party } = partyCheckIn;
+    let { outcome } = partyCheckIn;
+
+    // Already admitted guests moving between zones aren't duplicates
+    if (zone && outcome.result === 'already_checked_in') {
+      outcome = { ...outcome, result: 'zone_allowed' };
     }
 
-    // Find user with valid token
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, email, reset_token_expiry')
-      .eq('reset_token', token)
-      .single();
+    await recordCheckInAttempt(req, {
+      eventId: event.id,
+      guestId: guest.id,
+      result: outcome.result,
+      zoneId: zone?.id,
+      details: { method: 'qr', companions_admitted: admitted.length || undefined }
+    });
 
-    if (userError || !user) {
-      console.log('❌ Token not found or invalid');
-      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    if (['checked_in', 're_entered', 'companions_admitted'].includes(outcome.result)) {
+      publishLiveUpdate(event.id, 'checkin', outcome.guest, { result: outcome.result, party });
     }
 
-    // Check if token is expired
-    const expiryDate = new Date(user.reset_token_expiry);
-    if (expiryDate < new Date()) {
-      console.log('❌ Token expired:', expiryDate, 'Current:', new Date());
-      return res.status(400).json({ error: 'Reset token has expired. Please request a new one.' });
+    if (outcome.result === 'checked_in') {
+      console.log('🎉 Check-in successful:', outcome.guest.name);
+    } else if (outcome.result === 're_entered') {
+      console.log('🔁 Re-entry:', outcome.guest.name);
+    } else if (outcome.result === 'zone_allowed') {
+      console.log('🚪 Zone access:', outcome.guest.name, 'at', zone.name);
+    } else if (outcome.result === 'companions_admitted') {
+      console.log('👥 Party arrival:', outcome.guest.name, party.label);
+    } else {
+      console.log('⚠️ Guest already checked in:', guest.name, 'by', outcome.guest.checked_in_by);
     }
 
-    console.log('✅ Token valid for user:', user.email);
+    const categories = await getEventCategories(event.id);
+    const people = (outcome.result === 'checked_in' ? 1 : 0) + admitted.length;
+    const wristband = people > 0
+      ? await issueWristband(event, outcome.guest, categories, people)
+      : getWristbandForGuest(event, categories, outcome.guest);
 
-    // ✅ FIXED: Use admin client to update password in Supabase Auth
-    const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(
-      user.id,
-      { password: newPassword }
-    );
+    res.json({ ...describeCheckIn(outcome), party, admitted_companions: admitted, zone: zoneInfo, wristband });
 
-    if (authError) {
-      console.error('❌ Error updating auth password:', authError);
-      throw authError;
+  } catch (error) {
+    console.error('❌ Token check-in error:', error);
+    res.status(500).json({ 
+      error: 'Check-in failed. Please try again.' 
+    });
+  }
+});
+
+// Reverse a mistaken check-in. A reason is required and goes into the check-in log.
+const UNDO_REASON_MAX_LENGTH = 500;
+
+app.post('/api/guests/:guestId/undo-checkin', requireAuth, authorizeEvent('checkin:undo', eventFromGuestParam('guestId')), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to undo a check-in' });
+    }
+    if (reason.length > UNDO_REASON_MAX_LENGTH) {
+      return res.status(400).json({ error: `Reason must be at most ${UNDO_REASON_MAX_LENGTH} characters` });
     }
 
-    console.log('✅ Supabase Auth password updated');
+    const previous = req.guest;
 
-    // Clear reset token
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ 
-        reset_token: null,
-        reset_token_expiry: null
-      })
-      .eq('id', user.id);
+    const { data: guest, error } = await supabase
+      .from('guests')
+      .update(withSyncStamp({
+        checked_in: false,
+        checked_in_at: null,
+        checked_in_time: null,
+        checked_in_by: null,
+        is_inside: false,
+        plus_ones_arrived: 0
+      }))
+      .eq('id', req.guest.id)
+      .eq('checked_in', true)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
 
-    if (updateError) {
-      console.error('⚠️ Error clearing token (password was updated):', updateError);
-      // Don't throw - password was already updated successfully
+    if (!guest) {
+      return res.status(409).json({ error: `${previous.name} is not checked in` });
     }
 
-    console.log('✅ Password reset successful for:', user.email);
-
-    res.json({ 
-      success: true, 
-      message: 'Password has been reset successfully. You can now login with your new password.' 
+    await recordCheckInAttempt(req, {
+      eventId: req.event.id,
+      guestId: guest.id,
+      result: 'undone',
+      details: {
+        reason,
+        previous_checked_in_at: previous.checked_in_at || null,
+        previous_checked_in_by: previous.checked_in_by || null,
+        previous_plus_ones_arrived: previous.plus_ones_arrived || 0
+      }
     });
 
+    // Undo covers the whole party
+    await supabase
+      .from('guest_companions')
+      .update({ checked_in: false, checked_in_at: null, checked_in_by: null })
+      .eq('guest_id', guest.id);
+
+    await returnWristband(req.event, previous, 1 + (previous.plus_ones_arrived || 0));
+
+    console.log(`↩️ Check-in undone for ${guest.name} by ${req.user.name}: ${reason}`);
+    publishLiveUpdate(req.event.id, 'undo', guest, { reason });
+
+    res.json({ success: true, result: 'undone', guest });
   } catch (error) {
-    console.error('❌ Reset password error:', error);
-    res.status(500).json({ 
-      error: 'Failed to reset password. Please try again or request a new reset link.' 
-    });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// ============================================
-// EVENT ROUTES (WITH LIFECYCLE)
-// ============================================
-
-// ✅ UPDATED: Create event with status 'created'
-app.post('/api/events', async (req, res) => {
+// Turn check-out / re-entry tracking on or off for an event
+app.patch('/api/events/:eventId/exit-tracking', requireAuth, authorizeEvent('event:door_settings', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { name, date, time_start, time_end, venue_id, host_id, host_name, expected_guests, description } = req.body;
-    
-    // Fetch venue name from venues table
-    let venue_name = null;
-    if (venue_id) {
-      const { data: venueData } = await supabase
-        .from('venues')
-        .select('name')
-        .eq('id', venue_id)
-        .single();
-      
-      venue_name = venueData?.name || null;
-    }
-    
-    // Generate unique registration token for guest self-registration
-    const registration_token = crypto.randomBytes(6).toString('hex'); // 12-char token
-    
     const { data, error } = await supabase
       .from('events')
-      .insert([{
-        name,
-        date,
-        time_start,
-        time_end,
-        venue_name,
-        venue_id,
-        host_id,
-        host_name,
-        expected_guests,
-        description: description || null,
-        status: 'created',
-        color: 'purple',
-        registration_token
-      }])
+      .update({ exit_tracking: req.body.enabled === true })
+      .eq('id', req.params.eventId)
       .select()
       .single();
-    
+
     if (error) throw error;
-    
+
     res.json({ success: true, event: data });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get all events (for venue dashboard)
-app.get('/api/events', async (req, res) => {
+// Hold check-in until a set time: { checkin_opens_at: '2026-11-02T18:00:00+05:30' | null }
+app.patch('/api/events/:eventId/checkin-window', requireAuth, authorizeEvent('event:door_settings', eventFromParam('eventId')), async (req, res) => {
   try {
+    const { checkin_opens_at } = req.body;
+
+    if (checkin_opens_at !== null && (typeof checkin_opens_at !== 'string' || !ZONED_TIMESTAMP_PATTERN.test(checkin_opens_at) || isNaN(new Date(checkin_opens_at).getTime()))) {
+      return res.status(400).json({ error: "checkin_opens_at must be a date-time with a time zone offset (e.g. '2026-11-02T18:00:00+05:30') or null" });
+    }
+
     const { data, error } = await supabase
       .from('events')
-      .select('*')
-      .in('status', ['created', 'completed'])
-      .order('date', { ascending: false });
-    
+      .update({ checkin_opens_at: checkin_opens_at ? new Date(checkin_opens_at).toISOString() : null })
+      .eq('id', req.params.eventId)
+      .select()
+      .single();
+
     if (error) throw error;
-    
-    res.json({ events: data });
+
+    res.json({ success: true, event: data });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// ✅ UPDATED: Get events for host (excludes archived)
-app.get('/api/events/host/:hostId', async (req, res) => {
+async function checkOutGuest(req, res, guest, event) {
+  if (!event.exit_tracking) {
+    return res.status(400).json({ error: 'Exit tracking is not enabled for this event' });
+  }
+
+  const outcome = await performCheckOut(guest.id);
+
+  if (outcome.result === 'checked_out') {
+    await recordCheckInAttempt(req, { eventId: event.id, guestId: guest.id, result: 'checked_out' });
+    console.log('👋 Checked out:', guest.name);
+    publishLiveUpdate(event.id, 'checkout', outcome.guest);
+    return res.json({ success: true, result: 'checked_out', guest: outcome.guest, message: `${guest.name} checked out` });
+  }
+
+  const message = outcome.result === 'already_outside'
+    ? `${guest.name} has already checked out`
+    : `${guest.name} has not checked in yet`;
+
+  res.status(409).json({ success: false, result: outcome.result, guest: outcome.guest, error: message });
+}
+
+// Check a guest out by id (exit tracking)
+app.post('/api/guests/:guestId/checkout', requireAuth, authorizeEvent('guest:checkin', eventFromGuestParam('guestId')), async (req, res) => {
   try {
-    const { hostId } = req.params;
-    
-    // CRITICAL VALIDATION: Prevent loading all events
-    if (!hostId || hostId === 'undefined' || hostId === 'null') {
-      console.log('Invalid host ID received:', hostId);
-      return res.json({ events: [] });
+    await checkOutGuest(req, res, req.guest, req.event);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Check a guest out by scanning their pass at the exit
+app.post('/api/checkout/token', requireUserOrScanner, rateLimit('checkin', (req) => req.body.token), throttleFailedLookups, async (req, res) => {
+  try {
+    const { token } = req.body;
+    const event_id = req.body.event_id || req.scanner?.event_id;
+
+    if (!token || typeof token !== 'string' || !event_id) {
+      return res.status(400).json({ error: 'token and event_id are required' });
     }
-    
-    console.log('Loading events for host:', hostId);
-    
-    // Only return non-archived events
-    const { data: events, error } = await supabase
-      .from('events')
-      .select('*')
-      .eq('host_id', hostId)
-      .in('status', ['created', 'completed'])
-      .order('date', { ascending: false });
-    
-    if (error) throw error;
-    
-    console.log(`Found ${events?.length || 0} events for host ${hostId}`);
-    
-    // Get guest counts for each event
-    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
-      const { data: guests } = await supabase
-        .from('guests')
-        .select('id, checked_in')
-        .eq('event_id', event.id);
-      
-      const totalGuests = guests?.length || 0;
-      const checkedInCount = guests?.filter(g => g.checked_in).length || 0;
-      
-      return {
-        ...event,
-        total_guests: totalGuests,
-        checked_in_count: checkedInCount
-      };
-    }));
-    
-    res.json({ events: eventsWithStats });
+
+    const event = await findEventById(event_id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!canRequest(req, 'guest:checkin', event)) {
+      return sendForbidden(res, 'guest:checkin');
+    }
+
+    const { guest, reason } = await findGuestByCheckInToken(token, event.id);
+
+    if (!guest || String(guest.event_id) !== String(event.id)) {
+      await recordFailedLookup(req);
+      return res.status(404).json({ success: false, result: 'invalid', error: 'Invalid QR code for this event', reason });
+    }
+
+    await checkOutGuest(req, res, guest, event);
+  } catch (error) {
+    console.error('❌ Token check-out error:', error);
+    res.status(500).json({ error: 'Check-out failed. Please try again.' });
+  }
+});
+
+// How many guests have arrived and how many are inside right now
+app.get('/api/events/:eventId/occupancy', requireAuth, authorizeEvent('guest:view', eventFromParam('eventId')), async (req, res) => {
+  try {
+    // People, not guest rows, counted the same way as the live feed (event_live_counts)
+    const counts = await getLiveCounts(req.event.id);
+
+    const arrived = counts.checked_in_count;
+    // Rows checked in before exit tracking existed have is_inside = null: count them as inside
+    const inside = req.event.exit_tracking ? counts.inside_count : arrived;
+
+    res.json({
+      exit_tracking: !!req.event.exit_tracking,
+      arrived,
+      inside,
+      left: arrived - inside
+    });
   } catch (error) {
-    console.error('Error in getByHost:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-// ✅ UPDATED: Get events for venue (includes 48hr cancelled events)
-app.get('/api/events/venue/:venueId', async (req, res) => {
+// ============================================
+// OFFLINE SCANNER SYNC
+// ============================================
+// 1. GET  /api/events/:eventId/sync/manifest            full guest manifest + cursor
+//    GET  /api/events/:eventId/sync/manifest?since=...  only guests changed/removed since cursor
+// 2. Scanner verifies passes offline (signed tokens + keys from the manifest) and queues scans
+// 3. POST /api/events/:eventId/sync/scans               upload queued scans; server reconciles
+//
+// Reconciliation is deterministic: scans are applied in scanned_at order (scan_id breaks ties)
+// and the earliest admission of a guest wins, whichever scanner uploads first. Re-uploading
+// a batch is safe; scans the same device already uploaded (by scan_id) are reported, not re-applied.
+
+const SYNC_MAX_SCANS_PER_BATCH = 500;
+const SYNC_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SYNC_CURSOR_OVERLAP_MS = 30 * 1000;
+
+const MANIFEST_GUEST_FIELDS = 'id, name, category, plus_ones, plus_ones_arrived, registration_status, check_in_token, checked_in, checked_in_at, checked_in_by, is_inside, updated_at';
+
+app.get('/api/events/:eventId/sync/manifest', requireUserOrScanner, authorizeEvent('guest:checkin', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { venueId } = req.params;
-    
-    // CRITICAL VALIDATION: Prevent loading all events
-    if (!venueId || venueId === 'undefined' || venueId === 'null') {
-      console.log('Invalid venue ID received:', venueId);
-      return res.json({ events: [] });
+    const { eventId } = req.params;
+    const { since } = req.query;
+
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ error: 'Invalid since cursor' });
     }
-    
-    console.log('Loading events for venue:', venueId);
-    
-    // Get non-archived events
-    const { data: events, error } = await supabase
-      .from('events')
-      .select('*')
-      .eq('venue_id', venueId)
-      .in('status', ['created', 'completed'])
-      .order('date', { ascending: false });
-    
+
+    // Cursor is taken before querying and set back by SYNC_CURSOR_OVERLAP_MS: a write stamped
+    // just before the query but committed after it is re-sent next time, never missed
+    const cursor = new Date(Date.now() - SYNC_CURSOR_OVERLAP_MS).toISOString();
+
+    // Paged so a scanner never gets a silently truncated guest list
+    const guests = await fetchAllRows(() => {
+      const guestQuery = supabase
+        .from('guests')
+        .select(MANIFEST_GUEST_FIELDS)
+        .eq('event_id', eventId)
+        .order('id', { ascending: true });
+      return since ? guestQuery.gt('updated_at', since) : guestQuery;
+    });
+
+    let removed = [];
+    if (since) {
+      const tombstones = await fetchAllRows(() => supabase
+        .from('guest_tombstones')
+        .select('guest_id')
+        .eq('event_id', eventId)
+        .gt('deleted_at', since)
+        .order('guest_id', { ascending: true }));
+
+      removed = tombstones.map(t => t.guest_id);
+    }
+
+    await getActiveSigningKey(eventId);
+    const keys = await getEventSigningKeys(eventId);
+
+    const { data: zones } = await supabase
+      .from('event_zones')
+      .select('id, name, allowed_categories')
+      .eq('event_id', eventId);
+
+    const categories = await getEventCategories(eventId);
+
+    res.json({
+      event: {
+        id: req.event.id,
+        name: req.event.name,
+        date: req.event.date,
+        time_start: req.event.time_start,
+        time_end: req.event.time_end,
+        status: req.event.status,
+        exit_tracking: !!req.event.exit_tracking,
+        wristband_color: req.event.wristband_color || null
+      },
+      full: !since,
+      cursor,
+      guests,
+      removed,
+      zones: zones || [],
+      categories: categories.map(c => ({ name: c.name, wristband_color: c.wristband_color })),
+      scanner_zone_id: req.scanner?.zone_id || null,
+      keys: keys.filter(k => k.status !== 'revoked').map(publicSigningKey),
+      revoked_key_ids: keys.filter(k => k.status === 'revoked').map(k => k.key_id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// scan_ids are only unique per device, so dedupe against what this scanner (or, for a
+// signed-in user, this user) has uploaded before. Looked up in chunks to keep URLs short.
+const SYNC_DEDUPE_CHUNK = 100;
+
+async function findProcessedScanIds(req, eventId, scanIds) {
+  const processed = new Set();
+
+  for (let i = 0; i < scanIds.length; i += SYNC_DEDUPE_CHUNK) {
+    let query = supabase
+      .from('checkin_logs')
+      .select('client_scan_id')
+      .eq('event_id', eventId)
+      .in('client_scan_id', scanIds.slice(i, i + SYNC_DEDUPE_CHUNK));
+    query = req.scanner
+      ? query.eq('device_id', req.scanner.id)
+      : query.eq('user_id', req.user.id).is('device_id', null);
+
+    const { data, error } = await query;
     if (error) throw error;
-    
-    // Also get recently cancelled events (cancelled before event, within 48hrs)
-    const fortyEightHoursAgo = new Date();
-    fortyEightHoursAgo.setHours(fortyEightHoursAgo.getHours() - 48);
-    
-    const { data: cancelledEvents } = await supabase
-      .from('events')
+    (data || []).forEach(row => processed.add(row.client_scan_id));
+  }
+
+  return processed;
+}
+
+// Offline clocks drift: reject unparseable times and pull future ones back to now
+function normalizeScanTime(scannedAt, receivedAt) {
+  const time = new Date(scannedAt);
+  if (isNaN(time.getTime())) return { at: receivedAt, adjusted: true };
+  if (time.getTime() > receivedAt.getTime() + SYNC_MAX_CLOCK_SKEW_MS) return { at: receivedAt, adjusted: true };
+  return { at: time, adjusted: false };
+}
+
+// An offline scan that happened before the recorded admission takes its place
+async function claimEarlierAdmission(guestId, at, checkedInBy) {
+  const { data, error } = await supabase
+    .from('guests')
+    .update(withSyncStamp({
+      checked_in_at: at.toISOString(),
+      checked_in_time: at.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }),
+      checked_in_by: checkedInBy
+    }))
+    .eq('id', guestId)
+    .eq('checked_in', true)
+    .gt('checked_in_at', at.toISOString())
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+app.post('/api/events/:eventId/sync/scans', requireUserOrScanner, authorizeEvent('guest:checkin', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const event = req.event;
+    const { scans, scanner_name } = req.body;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({ error: 'scans must be a non-empty array' });
+    }
+    if (scans.length > SYNC_MAX_SCANS_PER_BATCH) {
+      return res.status(400).json({ error: `At most ${SYNC_MAX_SCANS_PER_BATCH} scans per batch` });
+    }
+    if (scans.some(scan => !scan || !scan.scan_id || typeof scan.token !== 'string')) {
+      return res.status(400).json({ error: 'Every scan needs a scan_id and token' });
+    }
+
+    // Same rules as online check-in: cancelled, archived and not-yet-open events refuse the batch
+    const block = getCheckInBlock(event);
+    if (block) {
+      return res.status(409).json({ success: false, result: 'event_not_open', error: block.message, ...block });
+    }
+
+    const receivedAt = new Date();
+    const checkedInBy = req.scanner ? req.scanner.name : (scanner_name || 'Offline Scanner');
+
+    // Idempotency: skip scans this device has already uploaded
+    const scanIds = [...new Set(scans.map(scan => String(scan.scan_id)))];
+    const processedIds = await findProcessedScanIds(req, event.id, scanIds);
+
+    const ordered = scans
+      .map(scan => ({ ...scan, scan_id: String(scan.scan_id), ...normalizeScanTime(scan.scanned_at, receivedAt) }))
+      .sort((a, b) => (a.at - b.at) || a.scan_id.localeCompare(b.scan_id));
+
+    const accepted = [];
+    const rejected = [];
+    const guestsByToken = new Map();
+
+    const { data: zones, error: zonesError } = await supabase
+      .from('event_zones')
       .select('*')
-      .eq('venue_id', venueId)
-      .eq('status', 'archived')
-      .eq('cancelled_before_event', true)
-      .gte('deleted_at', fortyEightHoursAgo.toISOString());
-    
-    // Combine both lists
-    const allEvents = [...(events || []), ...(cancelledEvents || [])];
-    
-    console.log(`Found ${allEvents.length} events for venue ${venueId} (${cancelledEvents?.length || 0} recently cancelled)`);
-    
-    // Get guest counts for each event
-    const eventsWithStats = await Promise.all(allEvents.map(async (event) => {
-      const { data: guests } = await supabase
-        .from('guests')
-        .select('id, checked_in')
-        .eq('event_id', event.id);
-      
-      const totalGuests = guests?.length || 0;
-      const checkedInCount = guests?.filter(g => g.checked_in).length || 0;
-      
-      return {
-        ...event,
-        total_guests: totalGuests,
-        checked_in_count: checkedInCount
-      };
-    }));
-    
-    res.json({ events: eventsWithStats });
+      .eq('event_id', event.id);
+    if (zonesError) throw zonesError;
+    const zonesById = new Map((zones || []).map(zone => [String(zone.id), zone]));
+    const categories = await getEventCategories(event.id);
+
+    for (const scan of ordered) {
+      if (processedIds.has(scan.scan_id)) {
+        accepted.push({ scan_id: scan.scan_id, result: 'already_processed' });
+        continue;
+      }
+      processedIds.add(scan.scan_id);
+
+      const logScan = (result, guestId, details) => recordCheckInAttempt(req, {
+        eventId: event.id,
+        guestId,
+        result,
+        scannedAt: scan.at,
+        gate: scan.gate,
+        clientScanId: scan.scan_id,
+        details: { method: 'offline_sync', clock_adjusted: scan.adjusted || undefined, ...details }
+      });
+
+      // Like online check-in, a scan from a zone that isn't this event's is refused
+      const zoneId = req.scanner?.zone_id || scan.zone_id;
+      const zone = zoneId ? zonesById.get(String(zoneId)) : null;
+      if (zoneId && !zone) {
+        await logScan('invalid', null, { reason: 'unknown_zone', zone_id: zoneId });
+        rejected.push({ scan_id: scan.scan_id, result: 'invalid', reason: 'unknown_zone', zone_id: zoneId });
+        continue;
+      }
+
+      if (!guestsByToken.has(scan.token)) {
+        guestsByToken.set(scan.token, await findGuestByCheckInToken(scan.token, event.id));
+      }
+      const { guest, reason } = guestsByToken.get(scan.token);
+
+      if (!guest) {
+        await logScan('invalid', null, { reason });
+        rejected.push({ scan_id: scan.scan_id, result: 'invalid', reason });
+        continue;
+      }
+
+      if (String(guest.event_id) !== String(event.id)) {
+        await logScan('wrong_event', guest.id, { pass_event_id: guest.event_id });
+        rejected.push({ scan_id: scan.scan_id, result: 'wrong_event', guest_id: guest.id, pass_event_id: guest.event_id });
+        continue;
+      }
+
+      const guestBlock = getGuestAdmissionBlock(guest);
+      if (guestBlock) {
+        await logScan('not_confirmed', guest.id, { reason: guestBlock.reason });
+        rejected.push({ scan_id: scan.scan_id, result: 'not_confirmed', guest_id: guest.id, reason: guestBlock.reason });
+        continue;
+      }
+
+      if (zone && !isCategoryAllowedInZone(zone, guest.category)) {
+        await logScan('zone_denied', guest.id, { category: guest.category, zone_id: zone.id });
+        rejected.push({ scan_id: scan.scan_id, result: 'zone_denied', guest_id: guest.id, zone_id: zone.id });
+        continue;
+      }
+
+      const outcome = await performCheckIn(guest.id, { checkedInBy, at: scan.at });
+
+      if (outcome.result === 'checked_in') {
+        await logScan('checked_in', guest.id);
+        await issueWristband(event, outcome.guest, categories);
+        publishLiveUpdate(event.id, 'checkin', outcome.guest, { result: 'checked_in', offline: true });
+        accepted.push({ scan_id: scan.scan_id, result: 'checked_in', guest_id: guest.id });
+        continue;
+      }
+
+      const earlier = await claimEarlierAdmission(guest.id, scan.at, checkedInBy);
+      if (earlier) {
+        await logScan('checked_in', guest.id, { superseded_checked_in_at: outcome.guest.checked_in_at });
+        accepted.push({ scan_id: scan.scan_id, result: 'checked_in', guest_id: guest.id });
+        continue;
+      }
+
+      if (zone) {
+        await logScan('zone_allowed', guest.id, { zone_id: zone.id });
+        accepted.push({ scan_id: scan.scan_id, result: 'zone_allowed', guest_id: guest.id });
+        continue;
+      }
+
+      await logScan('already_checked_in', guest.id);
+      rejected.push({
+        scan_id: scan.scan_id,
+        result: 'already_checked_in',
+        guest_id: guest.id,
+        checked_in_by: outcome.guest.checked_in_by,
+        checked_in_at: outcome.guest.checked_in_at
+      });
+    }
+
+    console.log(`🔄 Sync upload for ${event.name}: ${accepted.length} accepted, ${rejected.length} rejected`);
+
+    res.json({ success: true, accepted, rejected });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    console.error('❌ Sync upload error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// ✅ NEW: Get archived events (Host)
-app.get('/api/events/host/:hostId/archived', async (req, res) => {
+// ============================================
+// LIVE CHECK-IN FEED (Server-Sent Events)
+// ============================================
+// Door screens and host dashboards subscribe to GET /api/events/:eventId/live and receive
+// checkin / undo / checkout / walkin / guest_added / guest_updated / guest_removed events
+// together with fresh counts. Subscribers live in this process only, so with several
+// instances behind a load balancer the feed needs sticky sessions (or a shared pub/sub).
+
+const liveFeed = new EventEmitter();
+liveFeed.setMaxListeners(0);
+
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+// One aggregate query (event_live_counts, see supabase/migrations) instead of reading
+// every guest row on each scan
+async function getLiveCounts(eventId) {
+  const { data, error } = await supabase
+    .rpc('event_live_counts', { p_event_id: eventId })
+    .single();
+
+  if (error) throw error;
+
+  return {
+    total_guests: Number(data?.total_guests || 0),
+    checked_in_count: Number(data?.checked_in_count || 0),
+    inside_count: Number(data?.inside_count || 0)
+  };
+}
+
+// Updates for an event are held for LIVE_PUBLISH_DEBOUNCE_MS and sent together with one
+// fresh count, so a busy door doesn't run a count query per scan
+const LIVE_PUBLISH_DEBOUNCE_MS = 250;
+const pendingLiveUpdates = new Map();
+
+async function flushLiveUpdates(eventId) {
+  const channel = `event:${eventId}`;
+  const messages = pendingLiveUpdates.get(channel) || [];
+  pendingLiveUpdates.delete(channel);
+
   try {
-    const { hostId } = req.params;
-    if (!hostId || hostId === 'undefined') return res.json({ events: [] });
-    
-    const { data: events, error } = await supabase
-      .from('events')
-      .select('*')
-      .eq('host_id', hostId)
-      .eq('status', 'archived')
-      .order('deleted_at', { ascending: false });
-    
-    if (error) throw error;
-    
-    // Add guest counts
-    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
-      const { data: guests } = await supabase
-        .from('guests')
-        .select('id, checked_in')
-        .eq('event_id', event.id);
-      
-      return {
-        ...event,
-        total_guests: guests?.length || 0,
-        checked_in_count: guests?.filter(g => g.checked_in).length || 0
-      };
-    }));
-    
-    res.json({ events: eventsWithStats });
+    const counts = await getLiveCounts(eventId);
+    messages.forEach(message => liveFeed.emit(channel, { ...message, counts }));
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    console.error('⚠️ Live feed publish failed:', error.message);
+  }
+}
+
+// Fire-and-forget from route handlers: never throws and only queries counts
+// when someone is actually watching the event
+function publishLiveUpdate(eventId, type, guest, extra = {}) {
+  const channel = `event:${eventId}`;
+  if (!eventId || liveFeed.listenerCount(channel) === 0) return;
+
+  const message = { type, guest, at: new Date().toISOString(), ...extra };
+  const queued = pendingLiveUpdates.get(channel);
+  if (queued) {
+    queued.push(message);
+    return;
+  }
+
+  pendingLiveUpdates.set(channel, [message]);
+  setTimeout(() => flushLiveUpdates(eventId), LIVE_PUBLISH_DEBOUNCE_MS);
+}
+
+// EventSource can't send an Authorization header, and a session token in the URL ends up
+// in proxy and access logs. Instead the client trades its session for a stream ticket
+// (POST /api/events/:eventId/live/ticket) and opens /live?ticket=. Tickets are single-use,
+// only open that event's feed and expire after LIVE_TICKET_TTL_MS.
+const LIVE_TICKET_TTL_MS = 60 * 1000;
+const liveStreamTickets = new Map(); // ticket -> { userId, eventId, expiresAt }
+
+function issueLiveStreamTicket(userId, eventId) {
+  const now = Date.now();
+  for (const [ticket, entry] of liveStreamTickets) {
+    if (entry.expiresAt <= now) liveStreamTickets.delete(ticket);
+  }
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  liveStreamTickets.set(ticket, { userId, eventId: String(eventId), expiresAt: now + LIVE_TICKET_TTL_MS });
+  return ticket;
+}
+
+// The feed accepts either a normal session header or a stream ticket for this event
+const requireLiveStreamAuth = async (req, res, next) => {
+  if (req.headers.authorization || !req.query.ticket) {
+    return requireAuth(req, res, next);
   }
-});
 
-// ✅ NEW: Get archived events (Venue)
-app.get('/api/events/venue/:venueId/archived', async (req, res) => {
   try {
-    const { venueId } = req.params;
-    if (!venueId || venueId === 'undefined') return res.json({ events: [] });
-    
-    const { data: events, error } = await supabase
-      .from('events')
+    const entry = liveStreamTickets.get(String(req.query.ticket));
+    liveStreamTickets.delete(String(req.query.ticket));
+
+    if (!entry || entry.expiresAt <= Date.now() || entry.eventId !== String(req.params.eventId)) {
+      return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+    }
+
+    const { data: user } = await supabase
+      .from('users')
       .select('*')
-      .eq('venue_id', venueId)
-      .eq('status', 'archived')
-      .order('deleted_at', { ascending: false });
-    
-    if (error) throw error;
-    
-    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
-      const { data: guests } = await supabase
-        .from('guests')
-        .select('id, checked_in')
-        .eq('event_id', event.id);
-      
-      return {
-        ...event,
-        total_guests: guests?.length || 0,
-        checked_in_count: guests?.filter(g => g.checked_in).length || 0
-      };
-    }));
-    
-    res.json({ events: eventsWithStats });
+      .eq('id', entry.userId)
+      .single();
+
+    if (!user) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({ error: 'Account is not active', status: user.status });
+    }
+
+    req.user = user;
+    next();
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    console.error('❌ Stream ticket error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
   }
+};
+
+app.post('/api/events/:eventId/live/ticket', requireAuth, authorizeEvent('guest:view', eventFromParam('eventId')), (req, res) => {
+  res.json({
+    ticket: issueLiveStreamTicket(req.user.id, req.event.id),
+    expires_in: LIVE_TICKET_TTL_MS / 1000
+  });
 });
 
-// ✅ NEW: Get venue events by specific date
-app.get('/api/events/venue/:venueId/by-date/:date', async (req, res) => {
+app.get('/api/events/:eventId/live', requireLiveStreamAuth, authorizeEvent('guest:view', eventFromParam('eventId')), async (req, res) => {
+  const channel = `event:${req.params.eventId}`;
+  const viewerRole = req.eventRole;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, payload) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Each subscriber gets the masking rules for its own role
+  const onUpdate = (update) => {
+    send(update.type, {
+      ...update,
+      guest: update.guest ? maskGuestForViewer(update.guest, viewerRole) : null
+    });
+  };
+
+  liveFeed.on(channel, onUpdate);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    liveFeed.off(channel, onUpdate);
+  });
+
   try {
-    const { venueId, date } = req.params;
-    if (!venueId || venueId === 'undefined') return res.json({ events: [] });
-    
-    const { data: events, error } = await supabase
-      .from('events')
-      .select('*')
-      .eq('venue_id', venueId)
-      .eq('date', date)
-      .in('status', ['created', 'completed'])
-      .order('time_start', { ascending: true });
-    
-    if (error) throw error;
-    
-    const eventsWithStats = await Promise.all((events || []).map(async (event) => {
-      const { data: guests } = await supabase
-        .from('guests')
-        .select('id, checked_in')
-        .eq('event_id', event.id);
-      
-      return {
-        ...event,
-        total_guests: guests?.length || 0,
-        checked_in_count: guests?.filter(g => g.checked_in).length || 0
-      };
-    }));
-    
-    res.json({ events: eventsWithStats });
+    send('ready', { event_id: req.params.eventId, counts: await getLiveCounts(req.params.eventId) });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    console.error('⚠️ Live feed initial counts failed:', error.message);
+    send('ready', { event_id: req.params.eventId, counts: null });
   }
 });
 
 // ============================================
-// VENUE ROUTES
+// ACCESS ZONE ROUTES
 // ============================================
 
-// Get all active venues
-app.get('/api/venues', async (req, res) => {
+// allowed_categories must be a list of category names; empty means open to all
+function parseAllowedCategories(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(c => typeof c !== 'string' || !c.trim())) {
+    return null;
+  }
+  return [...new Set(value.map(c => c.trim()))];
+}
+
+app.get('/api/events/:eventId/zones', requireAuth, authorizeEvent('guest:view', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('venues')
+    const { data: zones, error } = await supabase
+      .from('event_zones')
       .select('*')
-      .eq('status', 'active')
-      .order('name', { ascending: true });
-    
+      .eq('event_id', req.event.id)
+      .order('created_at', { ascending: true });
+
     if (error) throw error;
-    
-    res.json({ venues: data });
+
+    res.json({ zones: zones || [] });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get venue by ID
-app.get('/api/venues/:id', async (req, res) => {
+app.post('/api/events/:eventId/zones', requireAuth, authorizeEvent('zone:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('venues')
-      .select('*')
-      .eq('id', req.params.id)
+    const { name } = req.body;
+    const allowedCategories = parseAllowedCategories(req.body.allowed_categories);
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Zone name is required' });
+    }
+    if (!allowedCategories) {
+      return res.status(400).json({ error: 'allowed_categories must be a list of category names' });
+    }
+
+    const { data: zone, error } = await supabase
+      .from('event_zones')
+      .insert([{
+        event_id: req.event.id,
+        name: name.trim(),
+        allowed_categories: allowedCategories
+      }])
+      .select()
       .single();
-    
+
     if (error) throw error;
-    
-    res.json({ venue: data });
+
+    res.json({ success: true, zone });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Request new venue
-app.post('/api/venues/request', async (req, res) => {
+app.patch('/api/events/:eventId/zones/:zoneId', requireAuth, authorizeEvent('zone:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { 
-      venue_name, 
-      address, 
-      city, 
-      state, 
-      contact_name, 
-      contact_email, 
-      contact_phone,
-      requested_by_user_id,
-      requested_by_name,
-      requested_by_email
-    } = req.body;
-    
-    const { data, error } = await supabase
-      .from('venue_requests')
-      .insert([{
-        venue_name,
-        address,
-        city,
-        state,
-        contact_name,
-        contact_email,
-        contact_phone,
-        requested_by_user_id,
-        requested_by_name,
-        requested_by_email,
-        status: 'pending'
-      }])
+    const existing = await findEventZone(req.event.id, req.params.zoneId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Zone not found' });
+    }
+
+    const updateData = {};
+    if (req.body.name !== undefined) {
+      if (!String(req.body.name).trim()) {
+        return res.status(400).json({ error: 'Zone name is required' });
+      }
+      updateData.name = String(req.body.name).trim();
+    }
+    if (req.body.allowed_categories !== undefined) {
+      const allowedCategories = parseAllowedCategories(req.body.allowed_categories);
+      if (!allowedCategories) {
+        return res.status(400).json({ error: 'allowed_categories must be a list of category names' });
+      }
+      updateData.allowed_categories = allowedCategories;
+    }
+
+    const { data: zone, error } = await supabase
+      .from('event_zones')
+      .update(updateData)
+      .eq('id', existing.id)
       .select()
       .single();
-    
+
     if (error) throw error;
-    
-    res.json({ success: true, request: data });
+
+    res.json({ success: true, zone });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// ============================================
-// INVITE ROUTES (Admin Only)
-// ============================================
-
-// Middleware to check if user is admin
-const requireAdmin = async (req, res, next) => {
+// Deleting a zone unassigns its scanners (they go back to plain check-in)
+app.delete('/api/events/:eventId/zones/:zoneId', requireAuth, authorizeEvent('zone:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'];
-    const userRole = req.headers['x-user-role'];
-    
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const existing = await findEventZone(req.event.id, req.params.zoneId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Zone not found' });
     }
 
-    const { data: user } = await supabase
-      .from('users')
-      .select('role, status')
-      .eq('id', userId)
-      .single();
+    await supabase
+      .from('scanner_devices')
+      .update({ zone_id: null })
+      .eq('zone_id', existing.id);
 
-    if (!user || user.role !== 'admin' || user.status !== 'active') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
+    const { error } = await supabase
+      .from('event_zones')
+      .delete()
+      .eq('id', existing.id);
 
-    next();
+    if (error) throw error;
+
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SCANNER DEVICES
+// ============================================
+// Host or venue staff register a device for an event and get a one-time pairing code.
+// The device exchanges the code at POST /api/scanners/pair for a credential that can
+// only check guests in for that event, and can be revoked remotely.
+
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';  // no 0/O, 1/I
+const PAIRING_CODE_TTL_MS = 15 * 60 * 1000;
+
+function generatePairingCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) {
+    code += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
   }
+  return code;
+}
+
+// Never send credential hashes or live pairing codes back in listings
+function publicScannerDevice(device) {
+  const { credential_hash, pairing_code, ...safe } = device;
+  return safe;
+}
+
+const scannerFromParams = async (req) => {
+  const { data: device } = await supabase
+    .from('scanner_devices')
+    .select('*')
+    .eq('id', req.params.scannerId)
+    .eq('event_id', req.params.eventId)
+    .maybeSingle();
+
+  return device;
 };
 
-// Create invite
-app.post('/api/invites/create', async (req, res) => {
+// Register a scanner device for an event
+app.post('/api/events/:eventId/scanners', requireAuth, authorizeEvent('scanner:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { email, name, role, venue_id, invited_by_user_id, invited_by_name } = req.body;
+    const { name, gate, zone_id } = req.body;
 
-    // Generate secure token
-    const { data: tokenData } = await supabase.rpc('generate_invite_token');
-    const token = tokenData;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Scanner name is required' });
+    }
 
-    // Set expiry (48 hours from now)
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + 48);
+    if (zone_id && !(await findEventZone(req.event.id, zone_id))) {
+      return res.status(400).json({ error: 'Unknown zone for this event' });
+    }
 
-    // Create invite
-    const { data, error } = await supabase
-      .from('invites')
-      .insert([{
-        token,
-        email,
-        name,
-        role,
-        venue_id,
-        invited_by_user_id,
-        invited_by_name,
-        expires_at: expiresAt.toISOString(),
-        status: 'pending'
+    const pairingCode = generatePairingCode();
+
+    const { data: device, error } = await supabase
+      .from('scanner_devices')
+      .insert([{
+        event_id: req.event.id,
+        name: name.trim(),
+        gate: gate ? gate.trim() : null,
+        zone_id: zone_id || null,
+        status: 'pending',
+        pairing_code: pairingCode,
+        pairing_expires_at: new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString(),
+        created_by: req.user.id
       }])
       .select()
       .single();
 
     if (error) throw error;
 
-    // Generate invite URL
-    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${token}`;
-
-    // Send invite email
-    if (process.env.SENDGRID_API_KEY) {
-      const emailHTML = getInviteEmailHTML(name, inviteUrl, role, venue_id);
-      await sendEmail(
-        email,
-        `You're invited to Event Check-In Pro`,
-        emailHTML
-      );
-    }
+    console.log(`📟 Scanner "${device.name}" registered for event ${req.event.name}`);
 
-    res.json({ 
-      success: true, 
-      invite: data,
-      inviteUrl 
+    res.json({
+      success: true,
+      scanner: publicScannerDevice(device),
+      pairing_code: pairingCode,
+      pairing_expires_at: device.pairing_expires_at
     });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get all invites (admin only)
-app.get('/api/invites', async (req, res) => {
+// Rename a scanner or move it to another gate / zone
+app.patch('/api/events/:eventId/scanners/:scannerId', requireAuth, authorizeEvent('scanner:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('pending_invites')
-      .select('*')
-      .order('created_at', { ascending: false });
+    const device = await scannerFromParams(req);
+    if (!device) {
+      return res.status(404).json({ error: 'Scanner not found' });
+    }
+
+    const { name, gate, zone_id } = req.body;
+    const updateData = {};
+    if (name !== undefined) updateData.name = String(name).trim();
+    if (gate !== undefined) updateData.gate = gate ? String(gate).trim() : null;
+    if (zone_id !== undefined) {
+      if (zone_id && !(await findEventZone(req.event.id, zone_id))) {
+        return res.status(400).json({ error: 'Unknown zone for this event' });
+      }
+      updateData.zone_id = zone_id || null;
+    }
+
+    const { data: updated, error } = await supabase
+      .from('scanner_devices')
+      .update(updateData)
+      .eq('id', device.id)
+      .select()
+      .single();
 
     if (error) throw error;
 
-    res.json({ invites: data });
+    res.json({ success: true, scanner: publicScannerDevice(updated) });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Verify invite token
-app.get('/api/invites/verify/:token', async (req, res) => {
+// Issue a new pairing code (e.g. the old one expired or the phone was replaced).
+// Any credential the device already had stops working.
+app.post('/api/events/:eventId/scanners/:scannerId/pairing-code', requireAuth, authorizeEvent('scanner:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { token } = req.params;
+    const device = await scannerFromParams(req);
+    if (!device) {
+      return res.status(404).json({ error: 'Scanner not found' });
+    }
 
-    const { data, error } = await supabase
-      .from('invites')
-      .select('*, venues(name, city)')
-      .eq('token', token)
-      .eq('status', 'pending')
-      .single();
+    const pairingCode = generatePairingCode();
 
-    if (error || !data) {
-      return res.status(404).json({ error: 'Invalid or expired invite' });
-    }
+    const { data: updated, error } = await supabase
+      .from('scanner_devices')
+      .update({
+        status: 'pending',
+        credential_hash: null,
+        pairing_code: pairingCode,
+        pairing_expires_at: new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString()
+      })
+      .eq('id', device.id)
+      .select()
+      .single();
 
-    // Check if expired
-    if (new Date(data.expires_at) < new Date()) {
-      return res.status(400).json({ error: 'Invite has expired' });
-    }
+    if (error) throw error;
 
-    res.json({ invite: data });
+    res.json({
+      success: true,
+      scanner: publicScannerDevice(updated),
+      pairing_code: pairingCode,
+      pairing_expires_at: updated.pairing_expires_at
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Accept invite and create account
-app.post('/api/invites/accept', async (req, res) => {
+// Exchange a pairing code for a device credential (PUBLIC - called by the scanner app)
+app.post('/api/scanners/pair', rateLimit('scanner_pairing'), throttleFailedLookups, async (req, res) => {
   try {
-    const { token, password } = req.body;
+    const pairingCode = String(req.body.pairing_code || '').trim().toUpperCase();
 
-    // Verify invite
-    const { data: invite, error: inviteError } = await supabase
-      .from('invites')
-      .select('*')
-      .eq('token', token)
+    if (!pairingCode) {
+      return res.status(400).json({ error: 'Pairing code is required' });
+    }
+
+    const credential = crypto.randomBytes(32).toString('base64url');
+
+    // Conditional on status so a code can only be redeemed once
+    const { data: device, error } = await supabase
+      .from('scanner_devices')
+      .update({
+        status: 'active',
+        credential_hash: hashScannerCredential(credential),
+        pairing_code: null,
+        pairing_expires_at: null,
+        paired_at: new Date().toISOString()
+      })
+      .eq('pairing_code', pairingCode)
       .eq('status', 'pending')
-      .single();
+      .gt('pairing_expires_at', new Date().toISOString())
+      .select()
+      .maybeSingle();
 
-    if (inviteError || !invite) {
-      return res.status(404).json({ error: 'Invalid or expired invite' });
-    }
+    if (error) throw error;
 
-    // Check expiry
-    if (new Date(invite.expires_at) < new Date()) {
-      return res.status(400).json({ error: 'Invite has expired' });
+    if (!device) {
+      await recordFailedLookup(req);
+      return res.status(404).json({ error: 'Invalid or expired pairing code' });
     }
 
-    // Create auth user
-    const { data: authData, error: authError } = await supabase.auth.signUp({
-      email: invite.email,
-      password: password
-    });
+    const event = await findEventById(device.event_id);
 
-    if (authError) throw authError;
+    console.log(`📟 Scanner "${device.name}" paired for event ${event?.name || device.event_id}`);
 
-    // Fetch venue name if venue_id exists
-    let venue_name = null;
-    if (invite.venue_id) {
-      const { data: venueData } = await supabase
-        .from('venues')
-        .select('name')
-        .eq('id', invite.venue_id)
-        .single();
-      venue_name = venueData?.name;
+    res.json({
+      success: true,
+      credential,  // shown once; the device sends it as "Authorization: Scanner <credential>"
+      scanner: publicScannerDevice(device),
+      event: event ? { id: event.id, name: event.name, date: event.date, venue_name: event.venue_name } : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke a device remotely; its credential stops working immediately
+app.post('/api/events/:eventId/scanners/:scannerId/revoke', requireAuth, authorizeEvent('scanner:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const device = await scannerFromParams(req);
+    if (!device) {
+      return res.status(404).json({ error: 'Scanner not found' });
     }
 
-    // Create user in users table
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .insert([{
-        id: authData.user.id,
-        email: invite.email,
-        name: invite.name,
-        role: invite.role,
-        venue_id: invite.venue_id,
-        venue_name: venue_name,
-        status: 'active'
-      }])
+    const { data: updated, error } = await supabase
+      .from('scanner_devices')
+      .update({
+        status: 'revoked',
+        credential_hash: null,
+        pairing_code: null,
+        revoked_at: new Date().toISOString()
+      })
+      .eq('id', device.id)
       .select()
       .single();
 
-    if (userError) throw userError;
+    if (error) throw error;
 
-    // Mark invite as accepted
-    await supabase
-      .from('invites')
-      .update({ 
-        status: 'accepted',
-        accepted_at: new Date().toISOString()
-      })
-      .eq('token', token);
+    console.log(`⛔ Scanner "${device.name}" revoked by ${req.user.name}`);
 
-    res.json({ success: true, user: userData });
+    res.json({ success: true, scanner: publicScannerDevice(updated) });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Revoke invite (admin only)
-app.post('/api/invites/revoke/:id', async (req, res) => {
+// Devices for an event with per-device scan counts and error rates
+app.get('/api/events/:eventId/scanners', requireAuth, authorizeEvent('scanner:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const { error } = await supabase
-      .from('invites')
-      .update({ status: 'revoked' })
-      .eq('id', id);
+    const { data: devices, error } = await supabase
+      .from('scanner_devices')
+      .select('*')
+      .eq('event_id', req.event.id)
+      .order('created_at', { ascending: true });
 
     if (error) throw error;
 
-    res.json({ success: true });
+    const recentSince = new Date(Date.now() - 15 * 60 * 1000).toISOString();
+    const ERROR_RESULTS = ['invalid', 'wrong_event', 'event_closed'];
+
+    // Counted in the database per device: an event's log easily outgrows one 1000-row page
+    const countScans = async (deviceId, narrow = (query) => query) => {
+      const { count, error: countError } = await narrow(supabase
+        .from('checkin_logs')
+        .select('id', { count: 'exact', head: true })
+        .eq('event_id', req.event.id)
+        .eq('device_id', deviceId));
+      if (countError) throw countError;
+      return count || 0;
+    };
+
+    const scanners = await Promise.all((devices || []).map(async (device) => {
+      const [total, admitted, duplicates, errors, recent, last] = await Promise.all([
+        countScans(device.id),
+        countScans(device.id, q => q.in('result', ['success', 're_entry'])),
+        countScans(device.id, q => q.eq('result', 'duplicate')),
+        countScans(device.id, q => q.in('result', ERROR_RESULTS)),
+        countScans(device.id, q => q.gte('scanned_at', recentSince)),
+        supabase
+          .from('checkin_logs')
+          .select('scanned_at')
+          .eq('event_id', req.event.id)
+          .eq('device_id', device.id)
+          .order('scanned_at', { ascending: false })
+          .limit(1)
+      ]);
+
+      if (last.error) throw last.error;
+
+      return {
+        ...publicScannerDevice(device),
+        stats: {
+          total_scans: total,
+          admitted,
+          duplicates,
+          errors,
+          error_rate: total ? Math.round((errors / total) * 1000) / 1000 : 0,
+          scans_last_15_min: recent,
+          last_scan_at: last.data?.[0]?.scanned_at || null
+        }
+      };
+    }));
+
+    res.json({ scanners });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
 // ============================================
-// GUEST SELF-REGISTRATION (Public routes - no auth)
+// CHECK-IN HISTORY
 // ============================================
 
-// Get event info for registration page (public)
-app.get('/api/events/register/:token', async (req, res) => {
-  try {
-    const { token } = req.params;
-    
-    const { data: event, error } = await supabase
-      .from('events')
-      .select('id, name, date, time_start, time_end, venue_name, status, registration_token')
-      .eq('registration_token', token)
-      .single();
-    
-    if (error || !event) {
-      return res.status(404).json({ error: 'Invalid or expired registration link' });
-    }
-    
-    // Only allow registration for created (upcoming) events
-    if (event.status !== 'created') {
-      return res.status(400).json({ error: 'Registration is closed for this event' });
-    }
-    
-    // Check if event date has passed
-    const eventEnd = event.time_end 
-      ? new Date(`${event.date}T${event.time_end}`) 
-      : new Date(`${event.date}T23:59`);
-    if (eventEnd < new Date()) {
-      return res.status(400).json({ error: 'This event has already ended' });
-    }
-    
-    res.json({ 
-      event: {
-        name: event.name,
-        date: event.date,
-        time_start: event.time_start,
-        time_end: event.time_end,
-        venue_name: event.venue_name
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+const CHECKIN_LOG_MAX_LIMIT = 1000;
 
-// Guest self-registration (public)
-app.post('/api/events/register/:token', async (req, res) => {
-  try {
-    const { token } = req.params;
-    const { name, phone, email } = req.body;
-    
-    if (!name || !phone) {
-      return res.status(400).json({ error: 'Name and phone are required' });
-    }
-    
-    // Validate phone (10 digits, starts with 6-9)
-    const cleanPhone = phone.replace(/\D/g, '');
-    if (cleanPhone.length !== 10 || !['6','7','8','9'].includes(cleanPhone[0])) {
-      return res.status(400).json({ error: 'Please enter a valid 10-digit mobile number' });
-    }
-    
-    // Find event by token
-    const { data: event, error: eventError } = await supabase
-      .from('events')
-      .select('id, name, status, date, time_end')
-      .eq('registration_token', token)
-      .single();
-    
-    if (eventError || !event) {
-      return res.status(404).json({ error: 'Invalid or expired registration link' });
-    }
-    
-    if (event.status !== 'created') {
-      return res.status(400).json({ error: 'Registration is closed for this event' });
-    }
-    
-    // Check if event date has passed
-    const eventEnd = event.time_end 
-      ? new Date(`${event.date}T${event.time_end}`) 
-      : new Date(`${event.date}T23:59`);
-    if (eventEnd < new Date()) {
-      return res.status(400).json({ error: 'This event has already ended' });
-    }
-    
-    // Check for duplicate phone in same event
-    const { data: existing } = await supabase
-      .from('guests')
-      .select('id, name')
-      .eq('event_id', event.id)
-      .eq('phone', cleanPhone);
-    
-    if (existing && existing.length > 0) {
-      return res.status(400).json({ error: 'This phone number is already registered for this event' });
-    }
-    
-    // Generate check-in token
-    const checkInToken = generateCheckInToken();
-    
-    // Add guest to event
-    const { data: guest, error: guestError } = await supabase
-      .from('guests')
-      .insert([{
-        event_id: event.id,
-        name: name.trim(),
-        phone: cleanPhone,
-        email: email ? email.trim().toLowerCase() : null,
-        category: 'General',
-        plus_ones: 0,
-        checked_in: false,
-        is_self_registered: true,
-        checkin_token: checkInToken
-      }])
-      .select()
-      .single();
-    
-    if (guestError) throw guestError;
-    
-    res.json({ success: true, message: 'You have been registered successfully!' });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+function applyCheckInLogFilters(query, { result, gate, device_id, before, limit }) {
+  if (result) query = query.eq('result', result);
+  if (gate) query = query.eq('gate', gate);
+  if (device_id) query = query.eq('device_id', device_id);
+  if (before) query = query.lt('scanned_at', before);
 
-// Update event description
-app.patch('/api/events/:eventId/description', async (req, res) => {
+  const pageSize = Math.min(parseInt(limit, 10) || 100, CHECKIN_LOG_MAX_LIMIT);
+  return query.order('scanned_at', { ascending: false }).limit(pageSize);
+}
+
+// Every scan attempt for an event, newest first.
+// Filters: result, guest_id, gate, device_id; page with ?before=<scanned_at of last row>
+app.get('/api/events/:eventId/checkin-log', requireAuth, authorizeEvent('checkin:log', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { eventId } = req.params;
-    const { description } = req.body;
+    let query = supabase
+      .from('checkin_logs')
+      .select('*')
+      .eq('event_id', req.params.eventId);
 
-    // Basic sanitization — strip script tags
-    const sanitized = (description || '').replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
+    if (req.query.guest_id) query = query.eq('guest_id', req.query.guest_id);
 
-    const { data, error } = await supabase
-      .from('events')
-      .update({ description: sanitized || null })
-      .eq('id', eventId)
-      .select()
-      .single();
+    const { data: entries, error } = await applyCheckInLogFilters(query, req.query);
 
     if (error) throw error;
 
-    res.json({ success: true, event: data });
+    res.json({ entries: entries || [] });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Get registration link for an event (host only)
-app.get('/api/events/:eventId/registration-link', async (req, res) => {
+// Scan history for a single guest
+app.get('/api/guests/:guestId/checkin-log', requireAuth, authorizeEvent('checkin:log', eventFromGuestParam('guestId')), async (req, res) => {
   try {
-    const { eventId } = req.params;
-    
-    const { data: event, error } = await supabase
-      .from('events')
-      .select('id, registration_token')
-      .eq('id', eventId)
-      .single();
-    
-    if (error || !event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-    
-    // If no token exists (older events), generate one
-    let token = event.registration_token;
-    if (!token) {
-      token = crypto.randomBytes(6).toString('hex');
-      await supabase
-        .from('events')
-        .update({ registration_token: token })
-        .eq('id', eventId);
-    }
-    
-    res.json({ token });
+    const query = supabase
+      .from('checkin_logs')
+      .select('*')
+      .eq('guest_id', req.params.guestId);
+
+    const { data: entries, error } = await applyCheckInLogFilters(query, req.query);
+
+    if (error) throw error;
+
+    res.json({ guest: { id: req.guest.id, name: req.guest.name }, entries: entries || [] });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
 // ============================================
-// GUEST ROUTES
+// WRISTBAND & QR REGENERATION ROUTES
 // ============================================
 
-app.post('/api/guests', async (req, res) => {
+// Get wristband colors
+app.get('/api/wristband-colors', requireAuth, async (req, res) => {
   try {
-    const { event_id, name, email, phone, category, plus_ones, is_walkin } = req.body;
+    const { data, error } = await supabase
+      .from('wristband_colors')
+      .select('*')
+      .eq('is_active', true)
+      .order('name', { ascending: true });
     
-    console.log('Creating guest:', { name, email, phone });
-
-    // ✅ GENERATE SIMPLE CHECK-IN TOKEN (no QR image stored!)
-    const checkInToken = generateCheckInToken();
+    if (error) throw error;
+    
+    res.json({ colors: data });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Generate invite token for email invitations
-    const inviteToken = crypto.randomBytes(32).toString('hex');
+// Update event wristband color
+app.patch('/api/events/:eventId/wristband', requireAuth, authorizeEvent('event:wristband', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { wristband_color } = req.body;
     
-    // Create guest - NO qr_code image stored (frontend generates QR from token)
     const { data, error } = await supabase
-      .from('guests')
-      .insert([{
-        event_id,
-        name,
-        email: email || '',
-        phone: phone || '',
-        category: category || 'General',
-        plus_ones: plus_ones || 0,
-        is_walkin: is_walkin || false,
-        check_in_token: checkInToken,
-        invite_token: inviteToken,
-        checked_in: false
-      }])
+      .from('events')
+      .update({ wristband_color })
+      .eq('id', eventId)
       .select()
       .single();
     
     if (error) throw error;
     
-    console.log('✅ Guest created with check-in token:', checkInToken);
-    res.json({ success: true, guest: data });
-    
+    res.json({ success: true, event: data });
   } catch (error) {
-    console.error('❌ Error creating guest:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
-app.get('/api/guests/event/:eventId', async (req, res) => {
+// Category wristband colors come from the same active palette as the event-wide color.
+// Returns the palette's spelling, or null when the color isn't offered.
+async function findWristbandColor(color) {
+  const { data: colors, error } = await supabase
+    .from('wristband_colors')
+    .select('name')
+    .eq('is_active', true);
+
+  if (error) throw error;
+
+  const wanted = String(color).trim().toLowerCase();
+  const match = (colors || []).find(c => c.name.toLowerCase() === wanted);
+  return match ? match.name : null;
+}
+
+async function findEventCategory(eventId, categoryId) {
+  const { data } = await supabase
+    .from('event_categories')
+    .select('*')
+    .eq('id', categoryId)
+    .eq('event_id', eventId)
+    .maybeSingle();
+
+  return data || null;
+}
+
+// Capacity is optional; null/empty clears it. Returns undefined when invalid.
+function parseCategoryCapacity(value) {
+  if (value === null || value === '') return null;
+  const capacity = parseInt(value, 10);
+  return Number.isInteger(capacity) && capacity > 0 ? capacity : undefined;
+}
+
+// Guests in a category, matched case-insensitively in code like the category lookups
+// (ilike would read % and _ in the name as wildcards)
+async function countCategoryGuests(eventId, name) {
+  const guests = await fetchAllRows(() => supabase
+    .from('guests')
+    .select('id, category')
+    .eq('event_id', eventId)
+    .order('id', { ascending: true }));
+
+  const wanted = String(name).toLowerCase();
+  return guests.filter(g => String(g.category || '').toLowerCase() === wanted).length;
+}
+
+// List categories with how many guests each one holds
+app.get('/api/events/:eventId/categories', requireAuth, authorizeEvent('guest:view', eventFromParam('eventId')), async (req, res) => {
   try {
-    const userRole = req.headers['x-user-role'];
-    
-    const { data, error } = await supabase
+    const categories = await getEventCategories(req.event.id);
+
+    const { data: guests, error } = await supabase
       .from('guests')
-      .select('*')
-      .eq('event_id', req.params.eventId)
-      .order('created_at', { ascending: true });
-    
+      .select('category, checked_in')
+      .eq('event_id', req.event.id);
+
     if (error) throw error;
-    
-    // ✅ Mask phone/email for venue users (except walk-in guests they added)
-    let guests = data;
-    if (userRole === 'venue') {
-      guests = data.map(guest => {
-        // Walk-in guests added by venue — show full details
-        if (guest.is_walkin) return guest;
-        
-        // Mask phone: 9876543210 → 9876***210
-        let maskedPhone = guest.phone;
-        if (guest.phone && guest.phone.length >= 6) {
-          maskedPhone = guest.phone.substring(0, 4) + '***' + guest.phone.slice(-3);
-        }
-        
-        // Mask email: john.doe@gmail.com → j***@gmail.com
-        let maskedEmail = guest.email;
-        if (guest.email && guest.email.includes('@')) {
-          const [local, domain] = guest.email.split('@');
-          maskedEmail = local[0] + '***@' + domain;
-        }
-        
+
+    const counts = {};
+    (guests || []).forEach(g => {
+      const key = (g.category || 'General').toLowerCase();
+      counts[key] = counts[key] || { guests: 0, checked_in: 0 };
+      counts[key].guests++;
+      if (g.checked_in) counts[key].checked_in++;
+    });
+
+    res.json({
+      categories: categories.map(c => {
+        const stats = counts[c.name.toLowerCase()] || { guests: 0, checked_in: 0 };
         return {
-          ...guest,
-          phone: maskedPhone,
-          email: maskedEmail,
-          _masked: true  // flag so frontend knows data is masked
+          ...c,
+          guest_count: stats.guests,
+          checked_in_count: stats.checked_in,
+          remaining: c.capacity ? Math.max(c.capacity - stats.guests, 0) : null
         };
-      });
-    }
-    
-    res.json({ guests });
+      }),
+      // Events without their own categories still use the original pair
+      uses_legacy_categories: categories.length === 0,
+      default_category: getDefaultCategoryName(categories),
+      event_wristband_color: req.event.wristband_color || null
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-app.post('/api/guests/:guestId/checkin', async (req, res) => {
+app.post('/api/events/:eventId/categories', requireAuth, authorizeEvent('category:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { scanner_name } = req.body;
-    const now = new Date();
-    const time = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
-    
-    const { data, error } = await supabase
-      .from('guests')
-      .update({
-        checked_in: true,
-        checked_in_time: time,
-        checked_in_by: scanner_name || 'Scanner 1'
-      })
-      .eq('id', req.params.guestId)
+    const { name, wristband_color, is_default } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Category name is required' });
+    }
+
+    const categories = await getEventCategories(req.event.id);
+    if (findCategory(categories, name)) {
+      return res.status(400).json({ error: `A category named "${String(name).trim()}" already exists` });
+    }
+
+    let color = null;
+    if (wristband_color) {
+      color = await findWristbandColor(wristband_color);
+      if (!color) {
+        return res.status(400).json({ error: `Wristband color "${wristband_color}" is not available` });
+      }
+    }
+
+    let capacity = null;
+    if (req.body.capacity !== undefined) {
+      capacity = parseCategoryCapacity(req.body.capacity);
+      if (capacity === undefined) {
+        return res.status(400).json({ error: 'capacity must be a positive whole number' });
+      }
+    }
+
+    // The first category becomes the default for self-registrations
+    const makeDefault = !!is_default || categories.length === 0;
+    if (makeDefault) {
+      await supabase
+        .from('event_categories')
+        .update({ is_default: false })
+        .eq('event_id', req.event.id);
+    }
+
+    const { data: category, error } = await supabase
+      .from('event_categories')
+      .insert([{
+        event_id: req.event.id,
+        name: String(name).trim(),
+        wristband_color: color,
+        capacity,
+        is_default: makeDefault,
+        sort_order: req.body.sort_order !== undefined
+          ? parseInt(req.body.sort_order, 10) || 0
+          : categories.length
+      }])
       .select()
       .single();
-    
+
     if (error) throw error;
-    
-    res.json({ success: true, guest: data });
+
+    res.json({ success: true, category });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// ✅ NEW: Token-based check-in (from QR code scan)
-app.post('/api/checkin/token', async (req, res) => {
+// Renaming a category carries its guests over to the new name
+app.patch('/api/events/:eventId/categories/:categoryId', requireAuth, authorizeEvent('category:manage', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { token } = req.body;
-    
-    console.log('📱 Token check-in attempt:', token);
-    
-    // Validate token
-    if (!token || typeof token !== 'string') {
-      return res.status(400).json({ error: 'Invalid token format' });
+    const existing = await findEventCategory(req.event.id, req.params.categoryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
     }
 
-    // Clean and uppercase token
-    const cleanToken = token.trim().toUpperCase();
+    const updateData = {};
 
-    // Find guest by check_in_token
-    const { data: guest, error: findError } = await supabase
-      .from('guests')
-      .select('*')
-      .eq('check_in_token', cleanToken)
-      .single();
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (!name) {
+        return res.status(400).json({ error: 'Category name is required' });
+      }
+      const categories = await getEventCategories(req.event.id);
+      const clash = findCategory(categories, name);
+      if (clash && clash.id !== existing.id) {
+        return res.status(400).json({ error: `A category named "${name}" already exists` });
+      }
+      updateData.name = name;
+    }
 
-    if (findError || !guest) {
-      console.log('❌ Guest not found for token:', cleanToken);
-      return res.status(404).json({ 
-        error: 'Invalid QR code. Guest not found.' 
-      });
+    if (req.body.wristband_color !== undefined) {
+      if (req.body.wristband_color) {
+        const color = await findWristbandColor(req.body.wristband_color);
+        if (!color) {
+          return res.status(400).json({ error: `Wristband color "${req.body.wristband_color}" is not available` });
+        }
+        updateData.wristband_color = color;
+      } else {
+        updateData.wristband_color = null;
+      }
     }
 
-    console.log('✅ Guest found:', guest.name, '(ID:', guest.id, ')');
+    if (req.body.capacity !== undefined) {
+      const capacity = parseCategoryCapacity(req.body.capacity);
+      if (capacity === undefined) {
+        return res.status(400).json({ error: 'capacity must be a positive whole number' });
+      }
+      if (capacity) {
+        const taken = await countCategoryGuests(req.event.id, existing.name);
+        if (taken > capacity) {
+          return res.status(400).json({
+            error: `${taken} guests are already in ${existing.name}, so its capacity can't be lower than that`
+          });
+        }
+      }
+      updateData.capacity = capacity;
+    }
 
-    // Check if already checked in
-    if (guest.checked_in) {
-      console.log('⚠️ Guest already checked in:', guest.name);
-      return res.status(200).json({ 
-        success: true,
-        guest,
-        message: `${guest.name} is already checked in`,
-        already_checked_in: true
-      });
+    if (req.body.sort_order !== undefined) {
+      updateData.sort_order = parseInt(req.body.sort_order, 10) || 0;
     }
 
-    // Perform check-in
-    const now = new Date();
-    const time = now.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    // Guests, zone rules and link defaults refer to the category by name, so they're all
+    // renamed with it in one transaction (rename_event_category, see supabase/migrations)
+    if (updateData.name && updateData.name !== existing.name) {
+      const { error: renameError } = await supabase
+        .rpc('rename_event_category', { p_category_id: existing.id, p_name: updateData.name });
 
-    const { data: updatedGuest, error: updateError } = await supabase
-      .from('guests')
-      .update({
-        checked_in: true,
-        checked_in_time: time,
-        checked_in_by: 'QR Scanner'
-      })
-      .eq('id', guest.id)
+      if (renameError) throw renameError;
+    }
+
+    if (req.body.is_default === true) {
+      const { error: defaultError } = await supabase
+        .from('event_categories')
+        .update({ is_default: false })
+        .eq('event_id', req.event.id);
+
+      if (defaultError) throw defaultError;
+      updateData.is_default = true;
+    }
+
+    const { data: category, error } = await supabase
+      .from('event_categories')
+      .update(updateData)
+      .eq('id', existing.id)
       .select()
       .single();
 
-    if (updateError) {
-      console.error('❌ Error updating guest:', updateError);
-      throw updateError;
+    if (error) throw error;
+
+    res.json({ success: true, category });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Categories still assigned to guests can't be deleted — move the guests first
+app.delete('/api/events/:eventId/categories/:categoryId', requireAuth, authorizeEvent('category:manage', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const existing = await findEventCategory(req.event.id, req.params.categoryId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
     }
 
-    console.log('🎉 Check-in successful:', updatedGuest.name);
+    const { count, error: countError } = await supabase
+      .from('guests')
+      .select('id', { count: 'exact', head: true })
+      .eq('event_id', req.event.id)
+      .eq('category', existing.name);
 
-    res.json({ 
-      success: true, 
-      guest: updatedGuest,
-      message: `${updatedGuest.name} checked in successfully!`
-    });
+    if (countError) throw countError;
+
+    if (count > 0) {
+      return res.status(400).json({
+        error: `${count} guest${count === 1 ? ' is' : 's are'} still in ${existing.name}. Move them to another category first.`
+      });
+    }
+
+    const { error } = await supabase
+      .from('event_categories')
+      .delete()
+      .eq('id', existing.id);
+
+    if (error) throw error;
+
+    // Links that sent registrants here fall back to the event default (links store
+    // the category's canonical name, so an exact match finds them)
+    await supabase
+      .from('registration_links')
+      .update({ default_category: null })
+      .eq('event_id', req.event.id)
+      .eq('default_category', existing.name);
+
+    // Keep a default around for self-registrations
+    if (existing.is_default) {
+      const remaining = await getEventCategories(req.event.id);
+      if (remaining.length > 0) {
+        await supabase
+          .from('event_categories')
+          .update({ is_default: true })
+          .eq('id', remaining[0].id);
+      }
+    }
 
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ Token check-in error:', error);
-    res.status(500).json({ 
-      error: 'Check-in failed. Please try again.' 
-    });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// ============================================
-// WRISTBAND & QR REGENERATION ROUTES
-// ============================================
-
-// Get wristband colors
-app.get('/api/wristband-colors', async (req, res) => {
+// Wristband stock for an event, one row per tracked color
+app.get('/api/events/:eventId/wristbands/inventory', requireAuth, authorizeEvent('checkin:log', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('wristband_colors')
+    const { data: inventory, error } = await supabase
+      .from('wristband_inventory')
       .select('*')
-      .eq('is_active', true)
-      .order('name', { ascending: true });
-    
+      .eq('event_id', req.event.id)
+      .order('color', { ascending: true });
+
     if (error) throw error;
-    
-    res.json({ colors: data });
+
+    const stock = (inventory || []).map(describeWristbandStock);
+
+    res.json({
+      inventory: stock,
+      low_stock: stock.filter(s => s.low_stock).map(s => s.color)
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-// Update event wristband color
-app.patch('/api/events/:eventId/wristband', async (req, res) => {
+// Venue records how many wristbands of a color it allocated to the event. Setting
+// allocated again replaces the number; the issued count is left alone.
+app.put('/api/events/:eventId/wristbands/inventory', requireAuth, authorizeEvent('wristband:inventory', eventFromParam('eventId')), async (req, res) => {
   try {
-    const { eventId } = req.params;
-    const { wristband_color } = req.body;
-    
-    const { data, error } = await supabase
-      .from('events')
-      .update({ wristband_color })
-      .eq('id', eventId)
-      .select()
-      .single();
-    
+    const { color: requestedColor, low_stock_threshold } = req.body;
+    const allocated = parseInt(req.body.allocated, 10);
+
+    if (!requestedColor) {
+      return res.status(400).json({ error: 'color is required' });
+    }
+    if (!Number.isInteger(allocated) || allocated < 0) {
+      return res.status(400).json({ error: 'allocated must be zero or a positive whole number' });
+    }
+
+    let threshold = null;
+    if (low_stock_threshold !== undefined && low_stock_threshold !== null && low_stock_threshold !== '') {
+      threshold = parseInt(low_stock_threshold, 10);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        return res.status(400).json({ error: 'low_stock_threshold must be zero or a positive whole number' });
+      }
+    }
+
+    const color = await findWristbandColor(requestedColor);
+    if (!color) {
+      return res.status(400).json({ error: `Wristband color "${requestedColor}" is not available` });
+    }
+
+    const existing = await findWristbandStock(req.event.id, color);
+
+    let stock;
+    if (existing) {
+      const { data, error } = await supabase
+        .from('wristband_inventory')
+        .update({ allocated, low_stock_threshold: threshold, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select()
+        .single();
+      if (error) throw error;
+      stock = data;
+    } else {
+      const { data, error } = await supabase
+        .from('wristband_inventory')
+        .insert([{
+          event_id: req.event.id,
+          color,
+          allocated,
+          issued: 0,
+          low_stock_threshold: threshold,
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+      if (error) throw error;
+      stock = data;
+    }
+
+    console.log(`🎗️ ${req.user.name} allocated ${allocated} ${color} wristbands to event ${req.event.id}`);
+
+    res.json({ success: true, wristband: describeWristbandStock(stock) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// End-of-night reconciliation: issued vs allocated per color, checked against the
+// number of admitted guests who should have received that color
+app.get('/api/events/:eventId/wristbands/report', requireAuth, authorizeEvent('checkin:log', eventFromParam('eventId')), async (req, res) => {
+  try {
+    const { data: inventory, error } = await supabase
+      .from('wristband_inventory')
+      .select('*')
+      .eq('event_id', req.event.id);
+
     if (error) throw error;
-    
-    res.json({ success: true, event: data });
+
+    // A party gets a band per person admitted, and companions can be in while the
+    // primary guest isn't
+    const guests = await fetchAllRows(() => supabase
+      .from('guests')
+      .select('id, category, checked_in, plus_ones_arrived')
+      .eq('event_id', req.event.id)
+      .or('checked_in.eq.true,plus_ones_arrived.gt.0')
+      .order('id', { ascending: true }));
+
+    const categories = await getEventCategories(req.event.id);
+
+    const expectedByColor = {};
+    let admitted = 0;
+    let withoutWristband = 0;
+    guests.forEach(guest => {
+      const people = (guest.checked_in ? 1 : 0) + (guest.plus_ones_arrived || 0);
+      admitted += people;
+
+      const wristband = getWristbandForGuest(req.event, categories, guest);
+      if (!wristband) {
+        withoutWristband += people;
+        return;
+      }
+      const key = wristband.color.toLowerCase();
+      expectedByColor[key] = expectedByColor[key] || { color: wristband.color, count: 0 };
+      expectedByColor[key].count += people;
+    });
+
+    const colors = (inventory || []).map(row => {
+      const stock = describeWristbandStock(row);
+      const expected = expectedByColor[row.color.toLowerCase()]?.count || 0;
+      delete expectedByColor[row.color.toLowerCase()];
+      return {
+        ...stock,
+        admitted_guests: expected,
+        // Positive: more bands counted out than admitted guests hold (damaged or lost bands)
+        discrepancy: stock.issued - expected
+      };
+    });
+
+    // Colors guests needed that the venue never recorded stock for
+    const untracked = Object.values(expectedByColor).map(e => ({ color: e.color, admitted_guests: e.count }));
+
+    res.json({
+      event: { id: req.event.id, name: req.event.name, date: req.event.date },
+      colors,
+      untracked,
+      totals: {
+        allocated: colors.reduce((sum, c) => sum + c.allocated, 0),
+        issued: colors.reduce((sum, c) => sum + c.issued, 0),
+        remaining: colors.reduce((sum, c) => sum + c.remaining, 0),
+        admitted_guests: admitted,
+        admitted_without_wristband: withoutWristband
+      },
+      generated_at: new Date().toISOString()
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
 // Regenerate QR code for single guest
-app.post('/api/guests/:guestId/regenerate-qr', async (req, res) => {
+app.post('/api/guests/:guestId/regenerate-qr', requireAuth, authorizeEvent('guest:edit', eventFromGuestParam('guestId')), async (req, res) => {
   try {
     const { guestId } = req.params;
     
@@ -1838,7 +6534,7 @@ app.post('/api/guests/:guestId/regenerate-qr', async (req, res) => {
 });
 
 // Regenerate QR codes for all guests in an event
-app.post('/api/events/:eventId/regenerate-all-qr', async (req, res) => {
+app.post('/api/events/:eventId/regenerate-all-qr', requireAuth, authorizeEvent('event:edit', eventFromParam('eventId')), async (req, res) => {
   try {
     const { eventId } = req.params;
     
@@ -1898,107 +6594,61 @@ app.post('/api/events/:eventId/regenerate-all-qr', async (req, res) => {
 // ============================================
 
 // Get event details by registration token (PUBLIC - no auth)
-app.get('/api/rsvp/:token', async (req, res) => {
+app.get('/api/rsvp/:token', rateLimit('registration'), throttleFailedLookups, async (req, res) => {
   try {
-    const { token } = req.params;
-    
-    const { data: event, error } = await supabase
-      .from('events')
-      .select('id, name, date, time_start, time_end, venue_name, host_name, description, status, registration_token')
-      .eq('registration_token', token)
-      .single();
+    const registration = await findRegistrationByToken(req.params.token);
     
-    if (error || !event) {
+    if (!registration) {
+      await recordFailedLookup(req);
       return res.status(404).json({ error: 'Invalid or expired registration link' });
     }
     
-    // Don't allow registration for archived events
-    if (event.status === 'archived') {
-      return res.status(400).json({ error: 'This event is no longer accepting registrations' });
+    const { event, link } = registration;
+    const block = await getRegistrationBlock(event, link);
+    if (block) {
+      return sendRegistrationBlock(res, block);
     }
+
+    // A full event still takes registrations onto its waitlist (or for approval)
+    const capacity = await getRegistrationCapacity(event);
     
     // Don't expose internal fields
-    const { registration_token, ...safeEvent } = event;
-    res.json({ event: safeEvent });
+    res.json({
+      event: {
+        id: event.id,
+        name: event.name,
+        date: event.date,
+        time_start: event.time_start,
+        time_end: event.time_end,
+        venue_name: event.venue_name,
+        host_name: event.host_name,
+        description: event.description,
+        status: event.status
+      },
+      form: event.registration_form || [],
+      registration: describeRegistrationWindow(event, capacity)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Guest self-registration via RSVP link (PUBLIC - no auth)
-app.post('/api/rsvp/:token', async (req, res) => {
+app.post('/api/rsvp/:token', rateLimit('registration', (req) => req.params.token), throttleFailedLookups, async (req, res) => {
   try {
-    const { token } = req.params;
-    const { name, phone, email } = req.body;
-    
-    if (!name || !phone) {
-      return res.status(400).json({ error: 'Name and phone number are required' });
-    }
-    
-    // Validate phone
-    const cleanPhone = phone.replace(/\D/g, '');
-    if (cleanPhone.length !== 10) {
-      return res.status(400).json({ error: 'Please enter a valid 10-digit mobile number' });
-    }
-    
-    // Find event by token
-    const { data: event, error: eventError } = await supabase
-      .from('events')
-      .select('id, name, status')
-      .eq('registration_token', token)
-      .single();
+    const registration = await findRegistrationByToken(req.params.token);
     
-    if (eventError || !event) {
+    if (!registration) {
+      await recordFailedLookup(req);
       return res.status(404).json({ error: 'Invalid or expired registration link' });
     }
     
-    if (event.status === 'archived') {
-      return res.status(400).json({ error: 'This event is no longer accepting registrations' });
-    }
-    
-    // Check for duplicate (same phone in same event)
-    const { data: existing } = await supabase
-      .from('guests')
-      .select('id, name')
-      .eq('event_id', event.id)
-      .eq('phone', cleanPhone)
-      .maybeSingle();
-    
-    if (existing) {
-      return res.status(400).json({ 
-        error: `You're already registered as "${existing.name}". No need to register again!` 
-      });
-    }
-    
-    // Add guest to event (auto-approved)
-    const checkInToken = generateCheckInToken();
-    const inviteToken = crypto.randomBytes(32).toString('hex');
-
-    const { data: guest, error: guestError } = await supabase
-      .from('guests')
-      .insert([{
-        event_id: event.id,
-        name: name.trim(),
-        phone: cleanPhone,
-        email: email ? email.trim().toLowerCase() : null,
-        checked_in: false,
-        category: 'General',
-        source: 'self_registered',
-        check_in_token: checkInToken,
-        invite_token: inviteToken
-      }])
-      .select()
-      .single();
-    
-    if (guestError) throw guestError;
+    const { event, link } = registration;
+    const { guest, confirmation } = await registerGuest(event, req.body, { link });
     
-    res.json({ 
-      success: true, 
-      message: `You're registered for "${event.name}"!`,
-      guest: { name: guest.name, id: guest.id }
-    });
+    res.json(describeRegistration(event, guest, confirmation));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendRegistrationError(res, error);
   }
 });
 
@@ -2007,7 +6657,7 @@ app.post('/api/rsvp/:token', async (req, res) => {
 // ============================================
 
 // Get guest invitation by token (PUBLIC - no auth required)
-app.get('/api/invites/guest/:token', async (req, res) => {
+app.get('/api/invites/guest/:token', rateLimit('invite_lookup', (req) => req.params.token), throttleFailedLookups, async (req, res) => {
   try {
     const { token } = req.params;
     
@@ -2026,6 +6676,7 @@ app.get('/api/invites/guest/:token', async (req, res) => {
 
     if (guestError || !guest) {
       console.log('❌ Guest not found for token:', token);
+      await recordFailedLookup(req);
       return res.status(404).json({ 
         error: 'Invalid or expired invitation link' 
       });
@@ -2034,10 +6685,8 @@ app.get('/api/invites/guest/:token', async (req, res) => {
     console.log('✅ Guest found:', guest.name);
 
     // Auto-generate check_in_token if guest doesn't have one (legacy guests)
-    if (!guest.check_in_token) {
-      const newToken = generateCheckInToken();
-      await supabase.from('guests').update({ check_in_token: newToken }).eq('id', guest.id);
-      guest.check_in_token = newToken;
+    if (!guest.check_in_token && guest.event_id && isConfirmedGuest(guest)) {
+      guest.check_in_token = await issueCheckInToken(guest);
       console.log('✅ Auto-generated check_in_token for legacy guest');
     }
 
@@ -2074,11 +6723,16 @@ app.get('/api/invites/guest/:token', async (req, res) => {
         name: guest.name,
         email: guest.email,
         phone: guest.phone,
+        phone_display: formatPhoneForDisplay(guest.phone),
         category: guest.category,
         plus_ones: guest.plus_ones,
         check_in_token: guest.check_in_token,  // ✅ Frontend generates QR from this
         checked_in: guest.checked_in,
-        checked_in_time: guest.checked_in_time
+        checked_in_time: guest.checked_in_time,
+        registration_status: guest.registration_status || 'confirmed',
+        waitlist_position: guest.waitlist_position || null,
+        rsvp_status: guest.rsvp_status || null,
+        plus_ones_limit: getPlusOnesLimit(guest, event)
       },
       event: {
         id: event.id,
@@ -2100,7 +6754,257 @@ app.get('/api/invites/guest/:token', async (req, res) => {
   }
 });
 
-app.post('/api/invitations/send', async (req, res) => {
+// Look up the guest behind an invite token for the public respond/cancel routes
+async function findGuestByInviteToken(token) {
+  const { data: guest } = await supabase
+    .from('guests')
+    .select('*')
+    .eq('invite_token', token)
+    .maybeSingle();
+
+  return guest || null;
+}
+
+// Guest answers their invitation (PUBLIC): { response: 'yes' | 'no' | 'maybe', plus_ones? }
+app.post('/api/invites/guest/:token/respond', rateLimit('invite_lookup', (req) => req.params.token), throttleFailedLookups, async (req, res) => {
+  try {
+    const { response } = req.body;
+
+    const guest = await findGuestByInviteToken(req.params.token);
+    if (!guest) {
+      await recordFailedLookup(req);
+      return res.status(404).json({ error: 'Invalid or expired invitation link' });
+    }
+
+    if (!RSVP_RESPONSES.includes(response)) {
+      return res.status(400).json({ error: "response must be 'yes', 'no' or 'maybe'" });
+    }
+
+    if (['cancelled', 'declined'].includes(guest.registration_status)) {
+      return res.status(409).json({ error: 'This registration is no longer active' });
+    }
+
+    const event = await findEventById(guest.event_id);
+    if (!event || event.status === 'archived') {
+      return res.status(400).json({ error: 'This event is no longer accepting responses' });
+    }
+
+    let plusOnes = guest.plus_ones || 0;
+    if (req.body.plus_ones !== undefined) {
+      plusOnes = parseInt(req.body.plus_ones, 10);
+      const limit = getPlusOnesLimit(guest, event);
+
+      if (!Number.isInteger(plusOnes) || plusOnes < 0) {
+        return res.status(400).json({ error: 'plus_ones must be zero or a positive whole number' });
+      }
+      if (plusOnes > limit) {
+        return res.status(400).json({
+          error: limit === 0 ? 'This invitation does not include plus-ones' : `You can bring up to ${limit} plus-one${limit === 1 ? '' : 's'}`
+        });
+      }
+
+      // Named or already-arrived plus-ones can only be removed by the host
+      const companions = await getGuestCompanions(guest.id);
+      const minimum = Math.max(companions.length, guest.plus_ones_arrived || 0);
+      if (plusOnes < minimum) {
+        return res.status(400).json({ error: `Please contact the host to bring fewer than ${minimum} plus-one${minimum === 1 ? '' : 's'}` });
+      }
+
+      // Extra people need room under the event's cap
+      const extra = plusOnes - (guest.plus_ones || 0);
+      if (extra > 0 && isConfirmedGuest(guest) && event.registration_cap) {
+        const capacity = await getRegistrationCapacity(event);
+        if (extra > capacity.remaining) {
+          return res.status(409).json({
+            error: capacity.remaining === 0
+              ? 'The event is full, so no more plus-ones can be added'
+              : `Only ${capacity.remaining} more spot${capacity.remaining === 1 ? ' is' : 's are'} available`
+          });
+        }
+      }
+    }
+
+    const { data: updated, error } = await supabase
+      .from('guests')
+      .update(withSyncStamp({
+        rsvp_status: response,
+        rsvp_responded_at: new Date().toISOString(),
+        plus_ones: plusOnes
+      }))
+      .eq('id', guest.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`💌 RSVP from ${guest.name}: ${response}${plusOnes ? ` (+${plusOnes})` : ''}`);
+    publishLiveUpdate(event.id, 'guest_updated', updated);
+
+    // Fewer plus-ones may free spots for the waitlist
+    if (plusOnes < (guest.plus_ones || 0) && isConfirmedGuest(guest) && event.registration_cap) {
+      await promoteFromWaitlist(event.id);
+    }
+
+    const messages = {
+      yes: `Thanks ${updated.name}, see you at ${event.name}!`,
+      maybe: `Thanks ${updated.name}, we've noted you as a maybe for ${event.name}.`,
+      no: `Thanks ${updated.name}, sorry you can't make it to ${event.name}.`
+    };
+
+    res.json({
+      success: true,
+      rsvp_status: updated.rsvp_status,
+      plus_ones: updated.plus_ones,
+      message: messages[response]
+    });
+  } catch (error) {
+    console.error('❌ RSVP response error:', error);
+    res.status(500).json({ error: 'Failed to save your response' });
+  }
+});
+
+// Guest cancels their own registration (PUBLIC). Their pass stops working and, if they
+// held a spot, the next person on the waitlist is promoted.
+app.post('/api/invites/guest/:token/cancel', rateLimit('invite_lookup', (req) => req.params.token), throttleFailedLookups, async (req, res) => {
+  try {
+    const guest = await findGuestByInviteToken(req.params.token);
+    if (!guest) {
+      await recordFailedLookup(req);
+      return res.status(404).json({ error: 'Invalid or expired invitation link' });
+    }
+
+    if (guest.registration_status === 'cancelled') {
+      return res.json({ success: true, message: 'Your registration is already cancelled' });
+    }
+    if (guest.checked_in) {
+      return res.status(409).json({ error: "You've already checked in to this event" });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('guests')
+      .update(withSyncStamp({
+        registration_status: 'cancelled',
+        rsvp_status: 'no',
+        rsvp_responded_at: new Date().toISOString(),
+        cancelled_at: new Date().toISOString(),
+        waitlist_position: null,
+        check_in_token: null
+      }))
+      .eq('id', guest.id)
+      .neq('registration_status', 'cancelled')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!updated) {
+      return res.json({ success: true, message: 'Your registration is already cancelled' });
+    }
+
+    console.log(`🚫 ${guest.name} cancelled their registration for event ${guest.event_id}`);
+    publishLiveUpdate(guest.event_id, 'guest_updated', updated);
+
+    if (isConfirmedGuest(guest)) {
+      await promoteFromWaitlist(guest.event_id);
+    }
+
+    res.json({ success: true, message: 'Your registration has been cancelled' });
+  } catch (error) {
+    console.error('❌ Cancel registration error:', error);
+    res.status(500).json({ error: 'Failed to cancel your registration' });
+  }
+});
+
+// Send one guest their invitation over the chosen channels and record that it went out.
+// Returns { email, sms } with 'sent' / 'failed' per channel attempted (null when skipped).
+// `email` overrides the subject / heading / intro for other occasions (e.g. registration).
+async function deliverInvitation(guest, event, channels = {}, email = {}) {
+  const delivery = { email: null, sms: null };
+
+  // ✅ GENERATE INVITE TOKEN if not exists
+  let inviteToken = guest.invite_token;
+  if (!inviteToken) {
+    inviteToken = crypto.randomBytes(16).toString('hex');
+    
+    // Update guest with token
+    const { error: updateError } = await supabase
+      .from('guests')
+      .update({ 
+        invite_token: inviteToken,
+        invite_sent_at: new Date().toISOString()
+      })
+      .eq('id', guest.id);
+    
+    if (updateError) {
+      console.error('❌ Error saving invite token:', updateError);
+      return delivery;
+    }
+    
+    guest.invite_token = inviteToken;
+    console.log('✅ Generated invite token:', inviteToken);
+  }
+  
+  // ✅ CREATE INVITE URL
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${inviteToken}`;
+  console.log('📨 Invite URL:', inviteUrl);
+  
+  // SEND EMAIL (if selected and guest has email)
+  if (channels.email && guest.email) {
+    try {
+      console.log(`📧 Sending email to: ${guest.email}`);
+      const emailHTML = getGuestInvitationEmailHTML(guest, event, inviteUrl, email);
+      const emailResult = await sendEmail(
+        guest.email,
+        email.subject || `You're invited to ${event.name}`,
+        emailHTML
+      );
+      
+      if (emailResult.success) {
+        delivery.email = 'sent';
+        console.log(`✅ Email sent to ${guest.email}`);
+      } else {
+        delivery.email = 'failed';
+        console.error(`❌ Email failed for ${guest.email}`);
+      }
+    } catch (error) {
+      delivery.email = 'failed';
+      console.error(`❌ Email error for ${guest.email}:`, error.message);
+    }
+  }
+  
+  // SEND SMS (if selected and guest has phone)
+  if (channels.sms && guest.phone) {
+    try {
+      console.log(`📱 Sending SMS to: ${guest.phone}`);
+      await sendSMSInvitation(guest, event);
+      delivery.sms = 'sent';
+      console.log(`✅ SMS sent to ${guest.phone}`);
+    } catch (error) {
+      delivery.sms = 'failed';
+      console.error(`❌ SMS failed for ${guest.phone}:`, error.message);
+    }
+  }
+  
+  // ✅ TRACK INVITATION SENT (if at least one channel succeeded)
+  const emailSent = channels.email && guest.email;
+  const smsSent = channels.sms && guest.phone;
+  
+  if (emailSent || smsSent) {
+    const sentVia = emailSent && smsSent ? 'both' : 
+                   emailSent ? 'email' : 'sms';
+    
+    await supabase.from('guests').update({
+      invitation_sent: true,
+      invitation_sent_at: new Date().toISOString(),
+      invitation_sent_via: sentVia
+    }).eq('id', guest.id);
+    
+    console.log(`✅ Tracked invitation sent via ${sentVia}`);
+  }
+  
+  return delivery;
+}
+
+app.post('/api/invitations/send', requireAuth, authorizeEvent('invitations:send', eventFromBody('event_id')), async (req, res) => {
   try {
     const { event_id, channels, filter = 'all', guest_ids = [] } = req.body;
     
@@ -2143,6 +7047,29 @@ app.post('/api/invitations/send', async (req, res) => {
         query = query.eq('category', 'General');
         break;
       
+      case 'category': {
+        // Any host-defined category, matched case-insensitively
+        const categories = await getEventCategories(event_id);
+        const match = findCategory(categories, req.body.category);
+        const categoryName = match ? match.name : req.body.category;
+        if (!categoryName) {
+          return res.status(400).json({ error: 'category is required for the category filter' });
+        }
+        query = query.eq('category', categoryName);
+        break;
+      }
+      
+      // RSVP responses: chase people who haven't answered, or message by answer
+      case 'not_responded':
+        query = query.is('rsvp_status', null);
+        break;
+      
+      case 'rsvp_yes':
+      case 'rsvp_maybe':
+      case 'rsvp_no':
+        query = query.eq('rsvp_status', filter.replace('rsvp_', ''));
+        break;
+      
       case 'custom':
         if (guest_ids.length === 0) {
           return res.status(400).json({ error: 'No guests selected' });
@@ -2160,7 +7087,11 @@ app.post('/api/invitations/send', async (req, res) => {
     
     if (guestsError) throw guestsError;
     
-    guests = filteredGuests;
+    // Only guests holding a spot get invitations, and anyone who answered "no" is left
+    // alone unless the host picked the rsvp_no filter on purpose
+    guests = filteredGuests.filter(g =>
+      isConfirmedGuest(g) && (filter === 'rsvp_no' || g.rsvp_status !== 'no')
+    );
     
     console.log(`📧 Found ${guests.length} guests matching filter: ${filter}`);
     
@@ -2173,87 +7104,9 @@ app.post('/api/invitations/send', async (req, res) => {
     for (const guest of guests) {
       console.log(`\n📧 Processing guest: ${guest.name}`);
       
-      // ✅ GENERATE INVITE TOKEN if not exists
-      let inviteToken = guest.invite_token;
-      if (!inviteToken) {
-        inviteToken = crypto.randomBytes(16).toString('hex');
-        
-        // Update guest with token
-        const { error: updateError } = await supabase
-          .from('guests')
-          .update({ 
-            invite_token: inviteToken,
-            invite_sent_at: new Date().toISOString()
-          })
-          .eq('id', guest.id);
-        
-        if (updateError) {
-          console.error('❌ Error saving invite token:', updateError);
-          continue;
-        }
-        
-        console.log('✅ Generated invite token:', inviteToken);
-      }
-      
-      // ✅ CREATE INVITE URL
-      const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invite/${inviteToken}`;
-      console.log('📨 Invite URL:', inviteUrl);
-      
-      const qrCodeURL = getQRCodeURL(guest.check_in_token || guest.qr_code || '');
-      
-      // SEND EMAIL (if selected and guest has email)
-      if (channels.email && guest.email) {
-        try {
-          console.log(`📧 Sending email to: ${guest.email}`);
-          const emailHTML = getGuestInvitationEmailHTML(guest, event, inviteUrl);
-          const emailResult = await sendEmail(
-            guest.email,
-            `You're invited to ${event.name}`,
-            emailHTML
-          );
-          
-          if (emailResult.success) {
-            results.email.sent++;
-            console.log(`✅ Email sent to ${guest.email}`);
-          } else {
-            results.email.failed++;
-            console.error(`❌ Email failed for ${guest.email}`);
-          }
-        } catch (error) {
-          results.email.failed++;
-          console.error(`❌ Email error for ${guest.email}:`, error.message);
-        }
-      }
-      
-      // SEND SMS (if selected and guest has phone) ✅ FIXED!
-      if (channels.sms && guest.phone) {
-        try {
-          console.log(`📱 Sending SMS to: ${guest.phone}`);
-          await sendSMSInvitation(guest, event);
-          results.sms.sent++;
-          console.log(`✅ SMS sent to ${guest.phone}`);
-        } catch (error) {
-          results.sms.failed++;
-          console.error(`❌ SMS failed for ${guest.phone}:`, error.message);
-        }
-      }
-      
-      // ✅ TRACK INVITATION SENT (if at least one channel succeeded)
-      const emailSent = channels.email && guest.email;
-      const smsSent = channels.sms && guest.phone;
-      
-      if (emailSent || smsSent) {
-        const sentVia = emailSent && smsSent ? 'both' : 
-                       emailSent ? 'email' : 'sms';
-        
-        await supabase.from('guests').update({
-          invitation_sent: true,
-          invitation_sent_at: new Date().toISOString(),
-          invitation_sent_via: sentVia
-        }).eq('id', guest.id);
-        
-        console.log(`✅ Tracked invitation sent via ${sentVia}`);
-      }
+      const delivery = await deliverInvitation(guest, event, channels);
+      if (delivery.email) results.email[delivery.email]++;
+      if (delivery.sms) results.sms[delivery.sms]++;
       
       // Small delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -2273,7 +7126,7 @@ app.post('/api/invitations/send', async (req, res) => {
 // SINGLE EVENT DETAILS (with host info)
 // NO JOIN - Fetches separately to avoid relationship errors
 // ============================================
-app.get('/api/events/:id', async (req, res) => {
+app.get('/api/events/:id', requireAuth, authorizeEvent('event:view', eventFromParam('id')), async (req, res) => {
   try {
     const { id } = req.params;
     console.log('Getting event by ID:', id);
@@ -2328,7 +7181,9 @@ app.get('/api/events/:id', async (req, res) => {
       host_name: hostInfo?.name || 'Unknown',
       host_email: hostInfo?.email || '',
       venue_name: venueInfo?.name || event.venue_name || 'Unknown',
-      venue_city: venueInfo?.city || ''
+      venue_city: venueInfo?.city || '',
+      // Where self-registrants came from, per registration link
+      registration_sources: await getRegistrationSourceStats(event.id)
     };
 
     console.log('Event loaded successfully:', eventWithDetails.name);
@@ -2345,7 +7200,7 @@ app.get('/api/events/:id', async (req, res) => {
 // ============================================
 
 // ✅ NEW: Smart delete — handles all 3 scenarios
-app.post('/api/events/:id/smart-delete', async (req, res) => {
+app.post('/api/events/:id/smart-delete', requireAuth, authorizeEvent('event:delete', eventFromParam('id')), async (req, res) => {
   try {
     const { deleted_by } = req.body;  // 'host' or 'venue'
     const eventId = req.params.id;
@@ -2353,6 +7208,11 @@ app.post('/api/events/:id/smart-delete', async (req, res) => {
     if (!['host', 'venue'].includes(deleted_by)) {
       return res.status(400).json({ error: 'deleted_by must be "host" or "venue"' });
     }
+    
+    // Only admins may record a deletion on behalf of the other party
+    if (req.eventRole !== 'admin' && deleted_by !== req.eventRole) {
+      return sendForbidden(res, 'event:delete');
+    }
 
     // Get event details
     const { data: event, error: eventError } = await supabase
@@ -2374,6 +7234,8 @@ app.post('/api/events/:id/smart-delete', async (req, res) => {
 
     // ── Scenario 1: 0 guests → instant permanent delete ──
     if (guestCount === 0) {
+      // A guest added since the count above is detached (and tombstoned) rather than orphaned
+      await detachEventGuests(eventId);
       await supabase.from('events').delete().eq('id', eventId);
       console.log(`🗑️ Event instantly deleted (0 guests): ${event.name}`);
       return res.json({ 
@@ -2420,9 +7282,9 @@ app.post('/api/events/:id/smart-delete', async (req, res) => {
 });
 
 // ✅ KEEP: Legacy soft delete route for backward compatibility
-app.patch('/api/events/:id/delete', async (req, res) => {
+app.patch('/api/events/:id/delete', requireAuth, authorizeEvent('event:delete', eventFromParam('id')), async (req, res) => {
   try {
-    const { deleted_by } = req.body;
+    const deleted_by = req.eventRole === 'admin' ? req.body.deleted_by : req.eventRole;
     
     const { data, error } = await supabase
       .from('events')
@@ -2444,7 +7306,7 @@ app.patch('/api/events/:id/delete', async (req, res) => {
 });
 
 // ✅ NEW: Restore from archive
-app.patch('/api/events/:id/restore', async (req, res) => {
+app.patch('/api/events/:id/restore', requireAuth, authorizeEvent('event:restore', eventFromParam('id')), async (req, res) => {
   try {
     // Get the event to determine what status to restore to
     const { data: event, error: findError } = await supabase
@@ -2482,13 +7344,10 @@ app.patch('/api/events/:id/restore', async (req, res) => {
 });
 
 // ✅ UPDATED: Hard delete event (keeps guest data — just detaches)
-app.delete('/api/events/:id', async (req, res) => {
+app.delete('/api/events/:id', requireAuth, authorizeEvent('event:purge', eventFromParam('id')), async (req, res) => {
   try {
     // Detach guests (keep their records, just unlink from event)
-    await supabase
-      .from('guests')
-      .update({ event_id: null })
-      .eq('event_id', req.params.id);
+    await detachEventGuests(req.params.id);
     
     // Delete the event record
     const { error } = await supabase
@@ -2506,7 +7365,7 @@ app.delete('/api/events/:id', async (req, res) => {
 });
 
 // ✅ NEW: Auto-update event statuses (complete → archive → purge)
-app.post('/api/events/auto-update-status', async (req, res) => {
+app.post('/api/events/auto-update-status', requireAdminOrService, async (req, res) => {
   try {
     const now = new Date();
     
@@ -2569,10 +7428,7 @@ app.post('/api/events/auto-update-status', async (req, res) => {
     for (const event of (archivedEvents || [])) {
       if (new Date(event.deleted_at) < thirtyDaysAgo) {
         // Keep guest data, just detach
-        await supabase
-          .from('guests')
-          .update({ event_id: null })
-          .eq('event_id', event.id);
+        await detachEventGuests(event.id);
         
         await supabase
           .from('events')
@@ -2584,6 +7440,22 @@ app.post('/api/events/auto-update-status', async (req, res) => {
       }
     }
     
+    // Only audit runs that changed something so scheduled sweeps don't flood the log
+    if (completedCount || archivedCount || purgedCount) {
+      await supabase.from('admin_logs').insert({
+        admin_id: req.user?.id || null,
+        action: 'EVENT_STATUSES_UPDATED',
+        target_type: 'event',
+        target_id: 'all',
+        details: {
+          completed: completedCount,
+          archived: archivedCount,
+          purged: purgedCount,
+          via: req.isServiceCall ? 'service' : 'admin'
+        }
+      });
+    }
+    
     res.json({ 
       completed: completedCount, 
       archived: archivedCount, 
@@ -2601,34 +7473,167 @@ app.post('/api/events/auto-update-status', async (req, res) => {
 // ============================================
 
 // Update guest
-app.patch('/api/guests/:id', async (req, res) => {
+app.patch('/api/guests/:id', requireAuth, authorizeEvent('guest:edit', eventFromGuestParam('id')), async (req, res) => {
   try {
-    const { name, email, phone, category, plus_ones } = req.body;
+    const { name, email, plus_ones } = req.body;
+    
+    let phone = req.body.phone;
+    if (phone) {
+      phone = normalizePhone(phone, await getPhoneCountry(req.event));
+      if (!phone) {
+        return res.status(400).json({ error: 'Invalid phone number' });
+      }
+    }
+    
+    let category = req.guest.category;
+    if (req.body.category !== undefined && req.body.category !== req.guest.category) {
+      const resolvedCategory = await resolveGuestCategory(req.event.id, req.body.category, { excludeGuestId: req.guest.id });
+      if (resolvedCategory.error) {
+        return res.status(400).json({ error: resolvedCategory.error });
+      }
+      category = resolvedCategory.name;
+    }
+    
+    // The party can't shrink below the plus-ones who are named or already inside
+    const plusOnes = parseInt(plus_ones) || 0;
+    if (plusOnes < (req.guest.plus_ones || 0)) {
+      const companions = await getGuestCompanions(req.guest.id);
+      const minimum = Math.max(companions.length, req.guest.plus_ones_arrived || 0);
+      if (plusOnes < minimum) {
+        return res.status(400).json({
+          error: `${req.guest.name} has ${minimum} named or arrived plus-one${minimum === 1 ? '' : 's'}; plus_ones can't be lower`
+        });
+      }
+    }
+    
+    // Per-guest cap on the plus-ones they may pick when answering their invitation
+    let plusOnesAllowed = req.guest.plus_ones_allowed ?? null;
+    if (req.body.plus_ones_allowed !== undefined) {
+      plusOnesAllowed = req.body.plus_ones_allowed === null || req.body.plus_ones_allowed === ''
+        ? null
+        : parseInt(req.body.plus_ones_allowed, 10);
+      if (plusOnesAllowed !== null && (!Number.isInteger(plusOnesAllowed) || plusOnesAllowed < 0)) {
+        return res.status(400).json({ error: 'plus_ones_allowed must be zero or a positive whole number' });
+      }
+    }
     
     const { data, error } = await supabase
       .from('guests')
-      .update({ 
+      .update(withSyncStamp({ 
         name, 
         email, 
         phone, 
         category, 
-        plus_ones: parseInt(plus_ones) || 0
-      })
+        plus_ones: plusOnes,
+        plus_ones_allowed: plusOnesAllowed
+      }))
       .eq('id', req.params.id)
       .select()
       .single();
     
     if (error) throw error;
     
+    publishLiveUpdate(data.event_id, 'guest_updated', data);
+    
     res.json({ guest: data });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Party overview: named plus-ones and how many of the party have arrived
+app.get('/api/guests/:guestId/companions', requireAuth, authorizeEvent('guest:view', eventFromGuestParam('guestId')), async (req, res) => {
+  try {
+    const companions = await getGuestCompanions(req.guest.id);
+    res.json({ party: describeParty(req.guest, companions) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Name a guest's plus-ones. Send the full list: { companions: [{ id?, name }] }. Entries
+// with an id are renamed, entries without one are added and missing ones are removed.
+// Companions who already arrived can be renamed but not removed.
+app.put('/api/guests/:guestId/companions', requireAuth, authorizeEvent('guest:edit', eventFromGuestParam('guestId')), async (req, res) => {
+  try {
+    const { companions } = req.body;
+
+    if (!Array.isArray(companions) || companions.some(c => !c || typeof c.name !== 'string' || !c.name.trim())) {
+      return res.status(400).json({ error: 'companions must be a list of { name }' });
+    }
+    if (companions.length > (req.guest.plus_ones || 0)) {
+      return res.status(400).json({
+        error: `${req.guest.name} has ${req.guest.plus_ones || 0} plus-one${req.guest.plus_ones === 1 ? '' : 's'}; raise plus_ones to name more`
+      });
+    }
+
+    const existing = await getGuestCompanions(req.guest.id);
+    const keptIds = new Set(companions.filter(c => c.id).map(c => String(c.id)));
+
+    const unknown = [...keptIds].filter(id => !existing.some(c => String(c.id) === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown companion id for this guest' });
+    }
+
+    const removed = existing.filter(c => !keptIds.has(String(c.id)));
+    const arrivedRemoved = removed.find(c => c.checked_in);
+    if (arrivedRemoved) {
+      return res.status(400).json({ error: `${arrivedRemoved.name} has already arrived and can't be removed` });
+    }
+
+    if (removed.length > 0) {
+      const { error } = await supabase
+        .from('guest_companions')
+        .delete()
+        .in('id', removed.map(c => c.id));
+      if (error) throw error;
+    }
+
+    for (const companion of companions) {
+      if (companion.id) {
+        const { error } = await supabase
+          .from('guest_companions')
+          .update({ name: companion.name.trim() })
+          .eq('id', companion.id);
+        if (error) throw error;
+      } else {
+        const { error } = await supabase
+          .from('guest_companions')
+          .insert([{
+            guest_id: req.guest.id,
+            event_id: req.guest.event_id,
+            name: companion.name.trim(),
+            checked_in: false
+          }]);
+        if (error) throw error;
+      }
+    }
+
+    const { data: guest, error } = await supabase
+      .from('guests')
+      .update(withSyncStamp({}))
+      .eq('id', req.guest.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    publishLiveUpdate(guest.event_id, 'guest_updated', guest);
+
+    res.json({ success: true, party: describeParty(guest, await getGuestCompanions(guest.id)) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Delete guest
-app.delete('/api/guests/:id', async (req, res) => {
+app.delete('/api/guests/:id', requireAuth, authorizeEvent('guest:delete', eventFromGuestParam('id')), async (req, res) => {
   try {
+    await supabase
+      .from('guest_companions')
+      .delete()
+      .eq('guest_id', req.params.id);
+    
     const { error } = await supabase
       .from('guests')
       .delete()
@@ -2636,6 +7641,16 @@ app.delete('/api/guests/:id', async (req, res) => {
     
     if (error) throw error;
     
+    // Tombstone so offline scanners drop the guest on their next manifest delta
+    await recordGuestTombstones(req.guest.event_id, [req.guest.id]);
+    
+    publishLiveUpdate(req.guest.event_id, 'guest_removed', { id: req.guest.id });
+    
+    // A confirmed guest leaving frees a spot for the waitlist
+    if (isConfirmedGuest(req.guest) && req.event.registration_cap) {
+      await promoteFromWaitlist(req.event.id);
+    }
+    
     res.json({ success: true });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -2647,7 +7662,7 @@ app.delete('/api/guests/:id', async (req, res) => {
 // ============================================
 
 // Get system statistics
-app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+app.get('/api/admin/stats', requireAuth, requireAdmin, async (req, res) => {
   try {
     // Get user counts
     const { data: users } = await supabase
@@ -2695,7 +7710,7 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
 });
 
 // Get recent activity
-app.get('/api/admin/activity', requireAdmin, async (req, res) => {
+app.get('/api/admin/activity', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { data: logs } = await supabase
       .from('admin_logs')
@@ -2715,7 +7730,7 @@ app.get('/api/admin/activity', requireAdmin, async (req, res) => {
 });
 
 // Get all users
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+app.get('/api/admin/users', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { data: users, error } = await supabase
       .from('users')
@@ -2731,11 +7746,11 @@ app.get('/api/admin/users', requireAdmin, async (req, res) => {
 });
 
 // Update user
-app.put('/api/admin/users/:userId', requireAdmin, async (req, res) => {
+app.put('/api/admin/users/:userId', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
     const { status, role, venue_id } = req.body;
-    const adminId = req.headers['x-user-id'];
+    const adminId = req.user.id;
     
     const updateData = {};
     if (status) updateData.status = status;
@@ -2767,10 +7782,10 @@ app.put('/api/admin/users/:userId', requireAdmin, async (req, res) => {
 });
 
 // Approve user (special endpoint with email notification)
-app.post('/api/admin/users/:userId/approve', requireAdmin, async (req, res) => {
+app.post('/api/admin/users/:userId/approve', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
-    const adminId = req.headers['x-user-id'];
+    const adminId = req.user.id;
     
     // Update status to active
     const { data: user, error } = await supabase
@@ -2865,11 +7880,11 @@ app.post('/api/admin/users/:userId/approve', requireAdmin, async (req, res) => {
 });
 
 // Reject user
-app.post('/api/admin/users/:userId/reject', requireAdmin, async (req, res) => {
+app.post('/api/admin/users/:userId/reject', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
     const { reason } = req.body;
-    const adminId = req.headers['x-user-id'];
+    const adminId = req.user.id;
     
     // Get user details before deleting
     const { data: user } = await supabase
@@ -2927,7 +7942,7 @@ app.post('/api/admin/users/:userId/reject', requireAdmin, async (req, res) => {
 });
 
 // Get all venues (admin)
-app.get('/api/admin/venues', requireAdmin, async (req, res) => {
+app.get('/api/admin/venues', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { data: venues, error } = await supabase
       .from('venues')
@@ -2943,10 +7958,10 @@ app.get('/api/admin/venues', requireAdmin, async (req, res) => {
 });
 
 // Create venue (admin)
-app.post('/api/admin/venues', requireAdmin, async (req, res) => {
+app.post('/api/admin/venues', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { name, city, address, capacity } = req.body;
-    const adminId = req.headers['x-user-id'];
+    const adminId = req.user.id;
     
     if (!name || !city) {
       return res.status(400).json({ error: 'Name and city are required' });
@@ -2976,11 +7991,11 @@ app.post('/api/admin/venues', requireAdmin, async (req, res) => {
 });
 
 // Update venue (admin)
-app.put('/api/admin/venues/:venueId', requireAdmin, async (req, res) => {
+app.put('/api/admin/venues/:venueId', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { venueId } = req.params;
     const { name, city, address, capacity } = req.body;
-    const adminId = req.headers['x-user-id'];
+    const adminId = req.user.id;
     
     const { data, error } = await supabase
       .from('venues')
@@ -3007,10 +8022,10 @@ app.put('/api/admin/venues/:venueId', requireAdmin, async (req, res) => {
 });
 
 // Delete venue (admin) - checks for linked data first
-app.delete('/api/admin/venues/:venueId', requireAdmin, async (req, res) => {
+app.delete('/api/admin/venues/:venueId', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { venueId } = req.params;
-    const adminId = req.headers['x-user-id'];
+    const adminId = req.user.id;
     
     // Check for linked events
     const { data: events } = await supabase
@@ -3066,7 +8081,12 @@ function formatLogMessage(log) {
     'VENUE_CREATED': `New venue "${log.details?.name}" was created`,
     'VENUE_UPDATED': `Venue "${log.details?.name}" was updated`,
     'VENUE_DELETED': `Venue was deleted`,
-    'ADMIN_CREATED': `New admin user was created`
+    'ADMIN_CREATED': `New admin user was created`,
+    'INVITE_CREATED': `Invite sent to ${log.details?.email} (${log.details?.role})`,
+    'INVITE_REVOKED': `Invite ${log.target_id} was revoked`,
+    'TOKENS_REGENERATED': `Check-in tokens regenerated for ${log.details?.updated} guests`,
+    'EVENT_STATUSES_UPDATED': `Event lifecycle: ${log.details?.completed} completed, ${log.details?.archived} archived, ${log.details?.purged} purged`,
+    'MSG91_CONFIG_VIEWED': `MSG91 configuration was viewed`
   };
   
   return actions[log.action] || log.action;
@@ -3075,20 +8095,26 @@ function formatLogMessage(log) {
 // ============================================
 // DEBUG ENDPOINT - CHECK MSG91 CONFIG
 // ============================================
-app.get('/api/debug/msg91', (req, res) => {
+app.get('/api/debug/msg91', requireAuth, requireAdmin, async (req, res) => {
+  await supabase.from('admin_logs').insert({
+    admin_id: req.user.id,
+    action: 'MSG91_CONFIG_VIEWED',
+    target_type: 'system',
+    target_id: 'msg91'
+  });
+
   res.json({
     status: (process.env.MSG91_AUTH_KEY && process.env.MSG91_TEMPLATE_ID) ? 
       '✅ MSG91 Configured' : 
       '❌ MSG91 Not Configured',
-    MSG91_AUTH_KEY: process.env.MSG91_AUTH_KEY ? 
-      `✅ Set: ${process.env.MSG91_AUTH_KEY.substring(0, 10)}...` : 
-      '❌ MISSING',
+    MSG91_AUTH_KEY: process.env.MSG91_AUTH_KEY ? '✅ Set' : '❌ MISSING',
     MSG91_TEMPLATE_ID: process.env.MSG91_TEMPLATE_ID ? 
       `✅ Set: ${process.env.MSG91_TEMPLATE_ID}` : 
       '❌ MISSING',
     MSG91_SENDER_ID: process.env.MSG91_SENDER_ID || 'Not set (optional)',
     MSG91_ROUTE: process.env.MSG91_ROUTE || 'Not set (optional)',
-    MSG91_DLT_TEMPLATE_ID: process.env.MSG91_DLT_TEMPLATE_ID || 'Not set (optional)'
+    MSG91_DLT_TEMPLATE_ID: process.env.MSG91_DLT_TEMPLATE_ID || 'Not set (optional)',
+    MSG91_DECLINE_TEMPLATE_ID: process.env.MSG91_DECLINE_TEMPLATE_ID || 'Not set (no decline SMS)'
   });
 });
 
@@ -3096,17 +8122,18 @@ app.get('/api/debug/msg91', (req, res) => {
 // ADMIN UTILITY - REGENERATE TOKENS
 // ============================================
 
-// ✅ ADMIN: Regenerate simple tokens for all existing guests (run once)
-app.post('/api/admin/regenerate-tokens', async (req, res) => {
+// ✅ ADMIN: Reissue signed check-in tokens for all existing guests (migrates legacy GC- tokens)
+app.post('/api/admin/regenerate-tokens', requireAdminOrService, async (req, res) => {
   try {
     console.log('🔄 Starting token regeneration for all guests...');
 
-    // Get all guests
-    const { data: guests, error } = await supabase
+    // Get all guests still attached to an event (passes are signed per event)
+    const guests = await fetchAllRows(() => supabase
       .from('guests')
-      .select('id, name');
-
-    if (error) throw error;
+      .select('id, name, event_id')
+      .not('event_id', 'is', null)
+      .or(CONFIRMED_GUEST_FILTER)
+      .order('id', { ascending: true }));
 
     console.log(`📋 Found ${guests.length} total guests`);
 
@@ -3115,18 +8142,8 @@ app.post('/api/admin/regenerate-tokens', async (req, res) => {
 
     for (const guest of guests) {
       try {
-        // Generate new simple token (no QR image needed)
-        const checkInToken = generateCheckInToken();
-
-        // Update guest with new token only
-        const { error: updateError } = await supabase
-          .from('guests')
-          .update({
-            check_in_token: checkInToken
-          })
-          .eq('id', guest.id);
-
-        if (updateError) throw updateError;
+        // Sign a new pass and store it as the guest's token (no QR image needed)
+        await issueCheckInToken(guest);
 
         updated++;
         
@@ -3140,6 +8157,14 @@ app.post('/api/admin/regenerate-tokens', async (req, res) => {
       }
     }
 
+    await supabase.from('admin_logs').insert({
+      admin_id: req.user?.id || null,
+      action: 'TOKENS_REGENERATED',
+      target_type: 'guest',
+      target_id: 'all',
+      details: { total: guests.length, updated, failed, via: req.isServiceCall ? 'service' : 'admin' }
+    });
+
     console.log(`🎉 Token regeneration complete!`);
     console.log(`✅ Successfully updated: ${updated} guests`);
     console.log(`❌ Failed: ${failed} guests`);
@@ -3164,16 +8189,21 @@ app.post('/api/admin/regenerate-tokens', async (req, res) => {
 // ============================================
 // START SERVER
 // ============================================
-app.listen(PORT, () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`✅ Supabase: ${SUPABASE_URL ? 'Configured' : 'Missing'}`);
-  console.log(`✅ Supabase Admin: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'Configured' : 'Missing'}`);
-  console.log(`✅ SendGrid: ${SENDGRID_API_KEY ? 'Configured' : 'Missing'}`);
-  console.log(`✅ MSG91: ${process.env.MSG91_AUTH_KEY ? 'Configured' : 'Missing'}`);
-  console.log(`✅ MSG91 Template: ${process.env.MSG91_TEMPLATE_ID ? 'Configured' : 'Missing'}`);
-  console.log(`\n📱 Debug endpoint: GET /api/debug/msg91`);
-  console.log(`🔐 Forgot Password: POST /api/auth/forgot-password`);
-  console.log(`🔐 Reset Password: POST /api/auth/reset-password`);
-  console.log(`🔄 Event Lifecycle: POST /api/events/auto-update-status`);
-  console.log(`\n⚠️  HOST APPROVAL: Hosts now require admin approval before login\n`);
-});
+// Tests require() the app (see test/) and start it on their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`\n🚀 Server running on port ${PORT}`);
+    console.log(`✅ Supabase: ${SUPABASE_URL ? 'Configured' : 'Missing'}`);
+    console.log(`✅ Supabase Admin: ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'Configured' : 'Missing'}`);
+    console.log(`✅ SendGrid: ${SENDGRID_API_KEY ? 'Configured' : 'Missing'}`);
+    console.log(`✅ MSG91: ${process.env.MSG91_AUTH_KEY ? 'Configured' : 'Missing'}`);
+    console.log(`✅ MSG91 Template: ${process.env.MSG91_TEMPLATE_ID ? 'Configured' : 'Missing'}`);
+    console.log(`\n📱 Debug endpoint: GET /api/debug/msg91`);
+    console.log(`🔐 Forgot Password: POST /api/auth/forgot-password`);
+    console.log(`🔐 Reset Password: POST /api/auth/reset-password`);
+    console.log(`🔄 Event Lifecycle: POST /api/events/auto-update-status (admin or x-service-key)`);
+    console.log(`\n⚠️  HOST APPROVAL: Hosts now require admin approval before login\n`);
+  });
+}
+
+module.exports = { app, supabase };
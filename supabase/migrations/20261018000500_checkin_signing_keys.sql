@@ -0,0 +1,16 @@
+-- Per-event Ed25519 keys that sign check-in passes (user-005). private_key holds the
+-- AES-256-GCM envelope written by the API (enc:v1:...), never a bare PEM.
+create table if not exists public.checkin_signing_keys (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  key_id text not null,
+  public_key text not null,
+  private_key text not null,
+  status text not null default 'active' check (status in ('active', 'retired', 'revoked')),
+  created_at timestamptz not null default now(),
+  retired_at timestamptz,
+  unique (event_id, key_id)
+);
+
+create index if not exists checkin_signing_keys_event_status_idx
+  on public.checkin_signing_keys (event_id, status, created_at desc);
@@ -0,0 +1,2 @@
+-- Optional explicit check-in window start per event (user-006).
+alter table public.events add column if not exists checkin_opens_at timestamptz;
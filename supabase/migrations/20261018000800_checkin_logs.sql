@@ -0,0 +1,21 @@
+-- Audit log of every scan attempt, successful or not (user-008).
+create table if not exists public.checkin_logs (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid references public.events (id) on delete cascade,
+  guest_id uuid references public.guests (id) on delete set null,
+  result text not null,
+  scanned_at timestamptz not null default now(),
+  scanner_name text,
+  device_id text,
+  gate text,
+  user_id uuid,
+  user_name text,
+  details jsonb
+);
+
+create index if not exists checkin_logs_event_scanned_at_idx
+  on public.checkin_logs (event_id, scanned_at desc);
+create index if not exists checkin_logs_guest_scanned_at_idx
+  on public.checkin_logs (guest_id, scanned_at desc);
+
+alter table public.guests add column if not exists checked_in_at timestamptz;
@@ -0,0 +1,6 @@
+-- Optional check-out / re-entry tracking (user-009).
+alter table public.events add column if not exists exit_tracking boolean not null default false;
+
+alter table public.guests add column if not exists is_inside boolean not null default false;
+alter table public.guests add column if not exists last_entry_at timestamptz;
+alter table public.guests add column if not exists last_exit_at timestamptz;
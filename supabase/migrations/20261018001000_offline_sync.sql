@@ -0,0 +1,19 @@
+-- Offline scanner manifests and scan uploads (user-010).
+alter table public.guests add column if not exists updated_at timestamptz not null default now();
+
+alter table public.checkin_logs add column if not exists client_scan_id text;
+
+create index if not exists checkin_logs_event_client_scan_idx
+  on public.checkin_logs (event_id, client_scan_id)
+  where client_scan_id is not null;
+
+-- Guests removed since a scanner's cursor, so manifests can tell devices to drop them.
+create table if not exists public.guest_tombstones (
+  id uuid primary key default gen_random_uuid(),
+  guest_id uuid not null,
+  event_id uuid not null references public.events (id) on delete cascade,
+  deleted_at timestamptz not null default now()
+);
+
+create index if not exists guest_tombstones_event_deleted_at_idx
+  on public.guest_tombstones (event_id, deleted_at);
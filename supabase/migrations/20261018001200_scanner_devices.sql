@@ -0,0 +1,23 @@
+-- Paired scanner devices with scoped credentials (user-012). Only the SHA-256 of a
+-- device credential is stored.
+create table if not exists public.scanner_devices (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  name text not null,
+  gate text,
+  status text not null default 'pending' check (status in ('pending', 'active', 'revoked')),
+  pairing_code text,
+  pairing_expires_at timestamptz,
+  credential_hash text,
+  paired_at timestamptz,
+  last_seen_at timestamptz,
+  revoked_at timestamptz,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists scanner_devices_event_idx on public.scanner_devices (event_id);
+create unique index if not exists scanner_devices_pairing_code_idx
+  on public.scanner_devices (pairing_code) where pairing_code is not null;
+create unique index if not exists scanner_devices_credential_hash_idx
+  on public.scanner_devices (credential_hash) where credential_hash is not null;
@@ -0,0 +1,15 @@
+-- Access zones with per-category entry rules (user-013).
+create table if not exists public.event_zones (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  name text not null,
+  allowed_categories text[] not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists event_zones_event_idx on public.event_zones (event_id);
+
+alter table public.scanner_devices
+  add column if not exists zone_id uuid references public.event_zones (id) on delete set null;
+alter table public.checkin_logs
+  add column if not exists zone_id uuid references public.event_zones (id) on delete set null;
@@ -0,0 +1,14 @@
+-- Per-event guest categories with wristband colors and optional capacity (user-014).
+create table if not exists public.event_categories (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  name text not null,
+  wristband_color text,
+  capacity integer check (capacity is null or capacity >= 0),
+  is_default boolean not null default false,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists event_categories_event_name_idx
+  on public.event_categories (event_id, lower(name));
@@ -0,0 +1,14 @@
+-- Wristband stock per event and color (user-015).
+create table if not exists public.wristband_inventory (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  color text not null,
+  allocated integer not null default 0 check (allocated >= 0),
+  issued integer not null default 0 check (issued >= 0),
+  low_stock_threshold integer check (low_stock_threshold is null or low_stock_threshold >= 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists wristband_inventory_event_color_idx
+  on public.wristband_inventory (event_id, color);
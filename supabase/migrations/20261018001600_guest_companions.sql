@@ -0,0 +1,16 @@
+-- Named plus-ones and partial party check-in (user-016).
+alter table public.guests add column if not exists plus_ones_arrived integer not null default 0;
+
+create table if not exists public.guest_companions (
+  id uuid primary key default gen_random_uuid(),
+  guest_id uuid not null references public.guests (id) on delete cascade,
+  event_id uuid not null references public.events (id) on delete cascade,
+  name text not null,
+  checked_in boolean not null default false,
+  checked_in_at timestamptz,
+  checked_in_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists guest_companions_guest_idx on public.guest_companions (guest_id);
+create index if not exists guest_companions_event_idx on public.guest_companions (event_id);
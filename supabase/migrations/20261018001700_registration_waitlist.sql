@@ -0,0 +1,12 @@
+-- Registration cap with an ordered waitlist (user-017). A null registration_status is
+-- treated as confirmed so guests created before this migration keep counting.
+alter table public.events add column if not exists registration_cap integer
+  check (registration_cap is null or registration_cap >= 0);
+
+alter table public.guests add column if not exists registration_status text
+  check (registration_status in ('confirmed', 'waitlisted', 'pending', 'declined', 'cancelled'));
+alter table public.guests add column if not exists waitlist_position integer;
+
+create index if not exists guests_event_waitlist_idx
+  on public.guests (event_id, waitlist_position)
+  where registration_status = 'waitlisted';
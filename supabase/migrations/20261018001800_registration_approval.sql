@@ -0,0 +1,6 @@
+-- Approval mode with a host moderation queue (user-018).
+alter table public.events add column if not exists registration_mode text not null default 'open'
+  check (registration_mode in ('open', 'approval'));
+
+alter table public.guests add column if not exists reviewed_at timestamptz;
+alter table public.guests add column if not exists reviewed_by uuid;
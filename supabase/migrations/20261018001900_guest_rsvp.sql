@@ -0,0 +1,10 @@
+-- Guest RSVP, plus-one changes and cancellation via the invite link (user-019).
+alter table public.events add column if not exists max_plus_ones integer
+  check (max_plus_ones is null or max_plus_ones >= 0);
+
+alter table public.guests add column if not exists rsvp_status text
+  check (rsvp_status in ('yes', 'no', 'maybe'));
+alter table public.guests add column if not exists rsvp_responded_at timestamptz;
+alter table public.guests add column if not exists cancelled_at timestamptz;
+alter table public.guests add column if not exists plus_ones_allowed integer
+  check (plus_ones_allowed is null or plus_ones_allowed >= 0);
@@ -0,0 +1,5 @@
+-- Default country for reading local phone numbers as E.164 (user-021).
+alter table public.events add column if not exists phone_country text
+  check (phone_country ~ '^[A-Z]{2}$');
+alter table public.venues add column if not exists phone_country text
+  check (phone_country ~ '^[A-Z]{2}$');
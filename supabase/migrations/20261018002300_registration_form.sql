@@ -0,0 +1,3 @@
+-- Custom registration form fields and the answers guests give (user-023).
+alter table public.events add column if not exists registration_form jsonb;
+alter table public.guests add column if not exists form_answers jsonb;
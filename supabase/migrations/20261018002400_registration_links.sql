@@ -0,0 +1,21 @@
+-- Tracked registration links with caps and expiry (user-024).
+create table if not exists public.registration_links (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  name text not null,
+  token text not null unique,
+  cap integer check (cap is null or cap >= 0),
+  expires_at timestamptz,
+  default_category text,
+  enabled boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists registration_links_event_idx on public.registration_links (event_id);
+
+alter table public.guests
+  add column if not exists registration_link_id uuid references public.registration_links (id) on delete set null;
+
+create index if not exists guests_registration_link_idx
+  on public.guests (registration_link_id) where registration_link_id is not null;
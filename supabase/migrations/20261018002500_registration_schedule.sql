@@ -0,0 +1,4 @@
+-- Registration open/close schedule and pause switch (user-025).
+alter table public.events add column if not exists registration_opens_at timestamptz;
+alter table public.events add column if not exists registration_closes_at timestamptz;
+alter table public.events add column if not exists registration_paused boolean not null default false;
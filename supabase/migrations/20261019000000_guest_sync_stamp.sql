@@ -0,0 +1,20 @@
+-- Offline scanner manifests (GET /api/events/:eventId/sync/manifest) send the guests
+-- changed since a cursor on updated_at. Stamp it with the database clock on every write
+-- instead of trusting each app instance's clock, and so no write path can skip it.
+create or replace function public.stamp_guest_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists guests_stamp_updated_at on public.guests;
+
+create trigger guests_stamp_updated_at
+  before insert or update on public.guests
+  for each row execute function public.stamp_guest_updated_at();
+
+create index if not exists guests_event_updated_at_idx on public.guests (event_id, updated_at);
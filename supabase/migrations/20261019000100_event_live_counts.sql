@@ -0,0 +1,16 @@
+-- Headcounts for the live check-in feed (GET /api/events/:eventId/live) in one query:
+-- people, not guest rows, so each row counts the guest plus their plus-ones. A party is
+-- inside while its primary guest is (exit tracking is per pass).
+create or replace function public.event_live_counts(p_event_id uuid)
+returns table (total_guests bigint, checked_in_count bigint, inside_count bigint)
+language sql
+stable
+as $$
+  select
+    coalesce(sum(1 + coalesce(plus_ones, 0)), 0),
+    coalesce(sum((case when checked_in then 1 else 0 end) + coalesce(plus_ones_arrived, 0)), 0),
+    coalesce(sum(case when checked_in and is_inside is distinct from false
+                      then 1 + coalesce(plus_ones_arrived, 0) else 0 end), 0)
+  from public.guests
+  where event_id = p_event_id;
+$$;
@@ -0,0 +1,51 @@
+-- Category capacity (event_categories.capacity) enforced where guests are written, so two
+-- registrations racing for a category's last spot can't both get in. The category row is
+-- locked while counting, which queues concurrent writers to the same category.
+create or replace function public.enforce_category_capacity()
+returns trigger
+language plpgsql
+as $$
+declare
+  category_capacity integer;
+  taken integer;
+begin
+  if new.event_id is null or new.category is null then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE'
+     and new.event_id is not distinct from old.event_id
+     and lower(new.category) is not distinct from lower(old.category) then
+    return new;
+  end if;
+
+  select capacity into category_capacity
+    from public.event_categories
+   where event_id = new.event_id
+     and lower(name) = lower(new.category)
+     for update;
+
+  if category_capacity is null then
+    return new;
+  end if;
+
+  select count(*) into taken
+    from public.guests
+   where event_id = new.event_id
+     and lower(category) = lower(new.category)
+     and id <> new.id;
+
+  if taken >= category_capacity then
+    raise exception 'The % category is full (% guests)', new.category, category_capacity
+      using hint = 'category_full';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists guests_enforce_category_capacity on public.guests;
+
+create trigger guests_enforce_category_capacity
+  before insert or update of category, event_id on public.guests
+  for each row execute function public.enforce_category_capacity();
@@ -0,0 +1,45 @@
+-- Rename an event category and everything that refers to it by name (guests, zone rules,
+-- registration link defaults) in one transaction. Old spellings match case-insensitively,
+-- the way categories are looked up everywhere else.
+create or replace function public.rename_event_category(p_category_id uuid, p_name text)
+returns void
+language plpgsql
+as $$
+declare
+  renamed public.event_categories%rowtype;
+begin
+  select * into renamed
+    from public.event_categories
+   where id = p_category_id
+     for update;
+
+  if not found then
+    raise exception 'Category not found' using hint = 'category_not_found';
+  end if;
+
+  update public.event_categories
+     set name = p_name
+   where id = renamed.id;
+
+  update public.guests
+     set category = p_name
+   where event_id = renamed.event_id
+     and lower(category) = lower(renamed.name);
+
+  update public.event_zones
+     set allowed_categories = array(
+           select case when lower(allowed) = lower(renamed.name) then p_name else allowed end
+             from unnest(allowed_categories) as allowed
+         )
+   where event_id = renamed.event_id
+     and exists (
+           select 1 from unnest(allowed_categories) as allowed
+            where lower(allowed) = lower(renamed.name)
+         );
+
+  update public.registration_links
+     set default_category = p_name
+   where event_id = renamed.event_id
+     and lower(default_category) = lower(renamed.name);
+end;
+$$;
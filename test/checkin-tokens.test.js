@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, request } = require('./helpers/app');
+
+const HOST = { id: 'host-1', name: 'Hana', email: 'host@example.com', role: 'host', status: 'active' };
+
+let db;
+let token;
+let EVENT;
+
+beforeEach(() => {
+  // A new event id each time: the server caches signing keys per event
+  EVENT = { id: crypto.randomUUID(), host_id: HOST.id, name: 'Launch Night', date: '2026-11-02', status: 'created' };
+  db = resetDatabase({ users: [HOST], events: [EVENT] });
+  token = db.signIn(HOST.id);
+});
+
+async function addGuest(name) {
+  const res = await request('POST', '/api/guests', { token, body: { event_id: EVENT.id, name } });
+  assert.equal(res.status, 200);
+  return res.body.guest;
+}
+
+function scan(passToken) {
+  return request('POST', '/api/checkin/token', { token, body: { token: passToken, event_id: EVENT.id } });
+}
+
+test('new guests get a signed pass from an encrypted per-event key', async () => {
+  const guest = await addGuest('Asha');
+
+  assert.match(guest.check_in_token, /^GC2\.[\w-]+\.[\w-]+$/);
+
+  const keys = db.table('checkin_signing_keys');
+  assert.equal(keys.length, 1);
+  assert.equal(keys[0].status, 'active');
+  assert.match(keys[0].private_key, /^enc:v1:/);
+
+  const published = await request('GET', `/api/events/${EVENT.id}/checkin-keys`, { token });
+  assert.equal(published.status, 200);
+  assert.deepEqual(published.body.keys.map(k => k.key_id), [keys[0].key_id]);
+  assert.equal(JSON.stringify(published.body).includes('PRIVATE KEY'), false);
+});
+
+test('a valid pass checks the guest in once', async () => {
+  const guest = await addGuest('Asha');
+
+  const first = await scan(guest.check_in_token);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.success, true);
+  assert.equal(db.table('guests')[0].checked_in, true);
+
+  const second = await scan(guest.check_in_token);
+  assert.equal(second.body.result, 'already_checked_in');
+  assert.equal(second.body.already_checked_in, true);
+});
+
+test('a pass with a forged signature is rejected', async () => {
+  const guest = await addGuest('Asha');
+  const [prefix, payload, signature] = guest.check_in_token.split('.');
+  const forged = `${prefix}.${payload}.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+  const res = await scan(forged);
+
+  assert.equal(res.status, 404);
+  assert.equal(res.body.reason, 'bad_signature');
+  assert.equal(db.table('guests')[0].checked_in, false);
+});
+
+test('rotating keeps old passes valid until the previous key is revoked', async () => {
+  const guest = await addGuest('Asha');
+  const oldPass = guest.check_in_token;
+
+  const rotated = await request('POST', `/api/events/${EVENT.id}/checkin-keys/rotate`, { token, body: {} });
+  assert.equal(rotated.status, 200);
+  assert.equal(rotated.body.reissued_passes, 0);
+  assert.deepEqual(db.table('checkin_signing_keys').map(k => k.status).sort(), ['active', 'retired']);
+
+  const revoked = await request('POST', `/api/events/${EVENT.id}/checkin-keys/rotate`, { token, body: { revoke_previous: true } });
+  assert.equal(revoked.status, 200);
+  assert.equal(revoked.body.reissued_passes, 1);
+
+  const withOldPass = await scan(oldPass);
+  assert.equal(withOldPass.status, 404);
+  assert.equal(withOldPass.body.reason, 'superseded');
+
+  const newPass = db.table('guests')[0].check_in_token;
+  assert.notEqual(newPass, oldPass);
+  const withNewPass = await scan(newPass);
+  assert.equal(withNewPass.status, 200);
+  assert.equal(withNewPass.body.success, true);
+});
+
+test('no guest is saved when its pass cannot be signed', async () => {
+  const secret = process.env.CHECKIN_KEY_SECRET;
+  delete process.env.CHECKIN_KEY_SECRET;
+
+  try {
+    const res = await request('POST', '/api/guests', { token, body: { event_id: EVENT.id, name: 'Asha' } });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /CHECKIN_KEY_SECRET/);
+    assert.equal(db.table('guests').length, 0);
+  } finally {
+    process.env.CHECKIN_KEY_SECRET = secret;
+  }
+});
@@ -0,0 +1,41 @@
+const { after } = require('node:test');
+const { installFakeSupabase } = require('./fakeSupabase');
+
+// server.js reads its configuration when it's loaded. Point it at nothing real: Supabase
+// is replaced by the in-memory fake, and without SendGrid / MSG91 keys nothing is sent.
+process.env.SUPABASE_URL = 'http://127.0.0.1:9';
+process.env.SUPABASE_KEY = 'test-anon-key';
+process.env.CHECKIN_KEY_SECRET = 'test-checkin-key-secret';
+delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+delete process.env.SENDGRID_API_KEY;
+delete process.env.MSG91_AUTH_KEY;
+delete process.env.INTERNAL_SERVICE_KEY;
+
+console.log = () => {};
+
+const { app, supabase } = require('../../server');
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(() => server.close());
+
+// Fresh database for a test: { tables: { name: [rows] } }
+function resetDatabase(tables = {}) {
+  return installFakeSupabase(supabase, tables);
+}
+
+async function request(method, path, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = { resetDatabase, request };
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the parts of the supabase-js client server.js uses. Tables are
+// plain arrays of rows (unknown tables start empty); filters follow PostgREST's SQL
+// semantics, so a null column never matches eq / neq / in.
+
+function compareValues(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  if (typeof a === 'boolean' || typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b));
+}
+
+function parseValue(raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (/^".*"$/.test(raw)) return raw.slice(1, -1);
+  return raw;
+}
+
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function condition(column, op, value) {
+  return (row) => {
+    const actual = row[column];
+    switch (op) {
+      case 'is': return value === null ? actual === null || actual === undefined : actual === value;
+      case 'eq': return actual != null && compareValues(actual, value) === 0;
+      case 'neq': return actual != null && compareValues(actual, value) !== 0;
+      case 'gt': return actual != null && compareValues(actual, value) > 0;
+      case 'gte': return actual != null && compareValues(actual, value) >= 0;
+      case 'lt': return actual != null && compareValues(actual, value) < 0;
+      case 'lte': return actual != null && compareValues(actual, value) <= 0;
+      case 'in': return actual != null && value.some(v => compareValues(actual, v) === 0);
+      case 'like':
+      case 'ilike': return actual != null && likeToRegExp(value).test(actual);
+      default: throw new Error(`Fake Supabase does not support the "${op}" filter`);
+    }
+  };
+}
+
+function negate(column, op, test) {
+  return (row) => (op === 'is' || row[column] != null) && !test(row);
+}
+
+// Split "a.eq.1,b.in.(x,y)" on the commas outside parentheses
+function splitFilterList(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function parseFilter(part) {
+  const [column, ...rest] = part.split('.');
+  let negated = false;
+  if (rest[0] === 'not') {
+    negated = true;
+    rest.shift();
+  }
+  const op = rest.shift();
+  const raw = rest.join('.');
+  const value = op === 'in'
+    ? splitFilterList(raw.replace(/^\(|\)$/g, '')).map(parseValue)
+    : parseValue(raw);
+
+  const test = condition(column, op, value);
+  return negated ? negate(column, op, test) : test;
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.payload = null;
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.limitCount = null;
+    this.rangeBounds = null;
+    this.singleMode = null;
+  }
+
+  select(columns, options = {}) {
+    if (this.action === 'select') {
+      this.countMode = options.count || null;
+      this.head = !!options.head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+  is(column, value) { return this.where(column, 'is', value); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+
+  not(column, op, value) {
+    this.filters.push(negate(column, op, condition(column, op, value)));
+    return this;
+  }
+
+  or(expression) {
+    const alternatives = splitFilterList(expression).map(parseFilter);
+    this.filters.push(row => alternatives.some(test => test(row)));
+    return this;
+  }
+
+  where(column, op, value) {
+    this.filters.push(condition(column, op, value));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matchingRows() {
+    return this.db.table(this.table).filter(row => this.filters.every(test => test(row)));
+  }
+
+  execute() {
+    const rows = this.db.table(this.table);
+    let data;
+
+    if (this.action === 'insert') {
+      data = this.payload.map(values => ({
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...values
+      }));
+      rows.push(...data);
+    } else if (this.action === 'update') {
+      data = this.matchingRows();
+      data.forEach(row => Object.assign(row, this.payload));
+    } else if (this.action === 'delete') {
+      data = this.matchingRows();
+      this.db.tables[this.table] = rows.filter(row => !data.includes(row));
+    } else {
+      data = this.matchingRows();
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null, count: null };
+    }
+
+    const count = data.length;
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      data = [...data].sort((a, b) => {
+        if (a[column] == null) return b[column] == null ? 0 : 1;
+        if (b[column] == null) return -1;
+        return ascending ? compareValues(a[column], b[column]) : compareValues(b[column], a[column]);
+      });
+    }
+    if (this.rangeBounds) data = data.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+    if (this.limitCount !== null) data = data.slice(0, this.limitCount);
+
+    data = data.map(row => ({ ...row }));
+
+    if (this.head) return { data: null, error: null, count };
+
+    if (this.singleMode) {
+      if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+        return { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${data.length}` }, count: null };
+      }
+      return { data: data[0] || null, error: null, count: null };
+    }
+
+    return { data, error: null, count: this.countMode ? count : null };
+  }
+}
+
+class FakeDatabase {
+  constructor(tables = {}) {
+    this.tables = {};
+    this.sessions = new Map(); // access token -> auth user id
+    for (const [name, rows] of Object.entries(tables)) {
+      this.tables[name] = rows.map(row => ({ ...row }));
+    }
+  }
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = [];
+    return this.tables[name];
+  }
+
+  from(name) {
+    return new FakeQuery(this, name);
+  }
+
+  // Access token a test sends as Authorization: Bearer <token> to act as this user
+  signIn(userId) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.sessions.set(token, userId);
+    return token;
+  }
+}
+
+// Point the app's supabase client at a fresh in-memory database and return it
+function installFakeSupabase(supabase, tables) {
+  const db = new FakeDatabase(tables);
+
+  supabase.from = (name) => db.from(name);
+  supabase.rpc = (name) => {
+    const result = Promise.resolve({ data: null, error: { message: `Fake Supabase has no function ${name}` } });
+    result.single = () => result;
+    return result;
+  };
+  supabase.auth.getUser = async (token) => {
+    const id = db.sessions.get(token);
+    return id
+      ? { data: { user: { id } }, error: null }
+      : { data: { user: null }, error: { message: 'invalid JWT' } };
+  };
+  supabase.auth.signUp = async ({ email }) => ({
+    data: { user: { id: crypto.randomUUID(), email } },
+    error: null
+  });
+
+  return db;
+}
+
+module.exports = { installFakeSupabase };
@@ -0,0 +1,51 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, request } = require('./helpers/app');
+
+let db;
+
+beforeEach(() => {
+  db = resetDatabase({ venues: [{ id: 'venue-1', name: 'Blue Frog' }] });
+});
+
+test('signup refuses the admin role', async () => {
+  const res = await request('POST', '/api/auth/signup', {
+    body: { email: 'mallory@example.com', password: 'secret123', name: 'Mallory', role: 'admin' }
+  });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /role must be one of: host, venue/);
+  assert.equal(db.table('users').length, 0);
+});
+
+test('signup refuses a missing or unknown role', async () => {
+  for (const role of [undefined, 'superuser', '']) {
+    const res = await request('POST', '/api/auth/signup', {
+      body: { email: 'eve@example.com', password: 'secret123', name: 'Eve', role }
+    });
+    assert.equal(res.status, 400);
+  }
+  assert.equal(db.table('users').length, 0);
+});
+
+test('hosts sign up active', async () => {
+  const res = await request('POST', '/api/auth/signup', {
+    body: { email: 'host@example.com', password: 'secret123', name: 'Hana', role: 'host' }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.role, 'host');
+  assert.equal(res.body.user.status, 'active');
+  assert.equal(db.table('users').length, 1);
+});
+
+test('venue staff sign up pending approval for their venue', async () => {
+  const res = await request('POST', '/api/auth/signup', {
+    body: { email: 'door@example.com', password: 'secret123', name: 'Dev', role: 'venue', venue_id: 'venue-1' }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.role, 'venue');
+  assert.equal(res.body.user.status, 'pending');
+  assert.equal(res.body.user.venue_name, 'Blue Frog');
+});
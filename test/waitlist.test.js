@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetDatabase, request } = require('./helpers/app');
+
+const HOST = { id: 'host-1', name: 'Hana', email: 'host@example.com', role: 'host', status: 'active' };
+
+let db;
+let token;
+let event;
+
+function guest(name, fields) {
+  return {
+    id: crypto.randomUUID(),
+    event_id: event.id,
+    name,
+    email: '',
+    phone: '',
+    checked_in: false,
+    plus_ones: 0,
+    invite_token: crypto.randomBytes(16).toString('hex'),
+    ...fields
+  };
+}
+
+function findGuest(name) {
+  return db.table('guests').find(g => g.name === name);
+}
+
+beforeEach(() => {
+  event = { id: crypto.randomUUID(), host_id: HOST.id, name: 'Launch Night', date: '2026-11-02', status: 'created', registration_cap: 3 };
+  db = resetDatabase({
+    users: [HOST],
+    events: [event],
+    guests: [
+      guest('Asha', { registration_status: 'confirmed', plus_ones: 1 }),
+      guest('Bilal', { registration_status: 'waitlisted', waitlist_position: 1, plus_ones: 2 }),
+      guest('Chen', { registration_status: 'waitlisted', waitlist_position: 2 })
+    ]
+  });
+  token = db.signIn(HOST.id);
+});
+
+function setCap(cap) {
+  return request('PATCH', `/api/events/${event.id}/capacity`, { token, body: { registration_cap: cap } });
+}
+
+test('a party too big for the space left keeps its place while a smaller one is promoted', async () => {
+  const res = await setCap(3);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.promoted.map(g => g.name), ['Chen']);
+
+  const chen = findGuest('Chen');
+  assert.equal(chen.registration_status, 'confirmed');
+  assert.equal(chen.waitlist_position, null);
+  assert.match(chen.check_in_token, /^GC2\./);
+
+  const bilal = findGuest('Bilal');
+  assert.equal(bilal.registration_status, 'waitlisted');
+  assert.equal(bilal.waitlist_position, 1);
+  assert.equal(bilal.check_in_token, undefined);
+
+  assert.equal(res.body.capacity.registered, 3);
+  assert.equal(res.body.capacity.is_full, true);
+});
+
+test('raising the cap promotes the waitlist in order', async () => {
+  const res = await setCap(6);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.promoted.map(g => g.name), ['Bilal', 'Chen']);
+  assert.equal(res.body.capacity.registered, 6);
+});
+
+test('a cancellation frees room for the next party that fits', async () => {
+  const res = await request('POST', `/api/invites/guest/${findGuest('Asha').invite_token}/cancel`);
+
+  assert.equal(res.status, 200);
+  assert.equal(findGuest('Asha').registration_status, 'cancelled');
+  assert.equal(findGuest('Bilal').registration_status, 'confirmed');
+  assert.equal(findGuest('Chen').registration_status, 'waitlisted');
+});